@@ -4,6 +4,8 @@ class PeyronieMedicalCalculator {
         this.componentsData = null;
         this.interactionsData = null;
         this.stagesData = null;
+        this.rulesData = null;
+        this.medicationsData = null;
         this.initialized = false;
     }
 
@@ -19,15 +21,19 @@ class PeyronieMedicalCalculator {
     }
 
     async loadData() {
-        const [componentsResponse, interactionsResponse, stagesResponse] = await Promise.all([
+        const [componentsResponse, interactionsResponse, stagesResponse, rulesResponse, medicationsResponse] = await Promise.all([
             fetch('./data/components.json'),
             fetch('./data/interactions.json'),
-            fetch('./data/stages.json')
+            fetch('./data/stages.json'),
+            fetch('./data/rules.json'),
+            fetch('./data/medications.json')
         ]);
 
         this.componentsData = await componentsResponse.json();
         this.interactionsData = await interactionsResponse.json();
         this.stagesData = await stagesResponse.json();
+        this.rulesData = await rulesResponse.json();
+        this.medicationsData = await medicationsResponse.json();
     }
 
     calculateDosing(patientProfile, selectedComponents) {
@@ -36,7 +42,8 @@ class PeyronieMedicalCalculator {
         }
 
         const dosing = new DosingEngine(this.componentsData);
-        const interactions = new InteractionEngine(this.interactionsData);
+        const interactions = new InteractionEngine(this.interactionsData, this.componentsData, this.rulesData, this.medicationsData);
+        const rules = new RulesEngine(this.rulesData, this.componentsData);
         const stages = new StageEngine(this.stagesData);
 
         // Get stage-specific recommendations
@@ -54,8 +61,48 @@ class PeyronieMedicalCalculator {
             );
         }
 
-        // Calculate synergy effects
-        const synergyEffects = interactions.calculateSynergies(selectedComponents);
+        // Daily doses decide which dose-dependent interactions apply
+        const dailyDoses = this.getDailyDoses(componentDoses);
+
+        // Simulate plasma time-course over the daily intake schedule
+        // Competing components are kept apart where the slots allow it
+        const separations = interactions.getSeparationConstraints(Object.keys(componentDoses), dailyDoses);
+        const dosingSchedule = dosing.generateDosingSchedule(componentDoses, patientProfile, separations);
+        const separationConflicts = dosing.findSeparationConflicts(dosingSchedule, separations);
+        const plasmaProfiles = dosing.simulateSchedule(dosingSchedule, componentDoses, patientProfile, { days: 7 });
+        const dailyTimeline = dosing.buildDailyTimeline(dosingSchedule, componentDoses);
+
+        // Expected protocol length for the selected stage
+        const protocolDuration = stages.getProtocolDuration(patientProfile.stage, patientProfile);
+
+        // Week-by-week escalation towards the target doses
+        const titrationPlan = new TitrationEngine(this.componentsData).buildPlan(componentDoses);
+
+        // Phases of the whole course: stage transitions, injectable series and the component set in each
+        const protocolTimeline = new TimelineEngine(this.componentsData, this.stagesData)
+            .buildTimeline(patientProfile, Object.keys(componentDoses));
+
+        // Dated monitoring visits over the whole course, anchored on the treatment start date and
+        // following each stage's schedule, with the safety labs of the components taken at each visit
+        const monitoringVisits = patientProfile.treatmentStart
+            ? stages.getMonitoringTimeline(
+                patientProfile.stage,
+                patientProfile.treatmentStart,
+                patientProfile,
+                protocolTimeline.totalMonths,
+                protocolTimeline.stageSegments
+            )
+            : [];
+        const visitPlan = new VisitPlanEngine(this.componentsData)
+            .buildVisitPlan(monitoringVisits, protocolTimeline, Object.keys(componentDoses));
+
+        // Calculate synergy effects, and the interaction network they form
+        const synergyEffects = interactions.applySeparations(
+            interactions.calculateSynergies(selectedComponents, dailyDoses),
+            separations,
+            separationConflicts
+        );
+        const interactionReport = interactions.generateInteractionReport(selectedComponents, synergyEffects);
 
         // Calculate overall effectiveness
         let effectiveness = this.calculateOverallEffectiveness(
@@ -73,34 +120,118 @@ class PeyronieMedicalCalculator {
             patientProfile
         );
 
+        // Each component's share of the modeled effect, for cost comparisons
+        const componentContributions = this.calculateComponentContributions(
+            Object.keys(componentDoses),
+            componentDoses,
+            effectiveness,
+            patientProfile
+        );
+
+        // Cumulative bleeding risk of the selection, with a drop suggestion weighed against benefit
+        const bleedingRisk = interactions.calculateBleedingRisk(
+            Object.keys(componentDoses),
+            patientProfile,
+            componentContributions
+        );
+
+        // Components added at a stage transition get the same rule, medication and bleeding checks
+        this.assessTimelinePhases(protocolTimeline, patientProfile, rules, interactions, componentContributions);
+
         return {
             componentDoses,
+            dosingSchedule,
+            plasmaProfiles,
+            dailyTimeline,
+            titrationPlan,
+            protocolTimeline,
+            protocolDuration,
+            monitoringVisits,
+            visitPlan,
             synergyEffects,
+            interactionReport,
             effectiveness,
+            componentContributions,
+            bleedingRisk,
             stageRecommendations,
-            warnings: this.generateWarnings(patientProfile, selectedComponents)
+            warnings: this.generateWarnings(patientProfile, selectedComponents, rules, interactions, separationConflicts)
         };
     }
 
+    getComponentEffect(componentId, doses, metricKey, profile) {
+        // Fractional effect of one component on a metric, weighted by its dose relative to the weight-based dose
+        const component = this.componentsData.components[componentId];
+        if (!component || !doses[componentId]) return 0;
+        const pd = component.pharmacodynamics || {};
+        const base = Number(pd[metricKey] || 0);
+        const weight = Math.max(0, Math.min(2, doses[componentId].adjustedDose / (component.dosePerKg * profile.weight)));
+        return Math.max(0, Math.min(1, (base / 100) * weight));
+    }
+
+    calculateComponentContributions(components, doses, effectiveness, profile) {
+        // Split each aggregated metric across components by their share of -ln Π(1 - effect),
+        // which is additive in the diminishing-returns model; report the mean over metrics
+        const metrics = ['tgfReduction', 'collagenReduction', 'curvatureReduction', 'plaqueReduction', 'painRelief'];
+        const contributions = {};
+        components.forEach(componentId => { contributions[componentId] = { points: 0 }; });
+
+        metrics.forEach(metricKey => {
+            const weights = components.map(componentId =>
+                -Math.log(1 - Math.min(this.getComponentEffect(componentId, doses, metricKey, profile), 0.999))
+            );
+            const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+            if (totalWeight === 0) return;
+
+            components.forEach((componentId, index) => {
+                contributions[componentId].points += effectiveness[metricKey] * weights[index] / totalWeight / metrics.length;
+            });
+        });
+
+        Object.values(contributions).forEach(contribution => {
+            contribution.points = Math.round(contribution.points * 10) / 10;
+        });
+        return contributions;
+    }
+
+    getDailyDoses(componentDoses) {
+        const dosing = new DosingEngine(this.componentsData);
+        const dailyDoses = {};
+        Object.entries(componentDoses).forEach(([componentId, doseInfo]) => {
+            dailyDoses[componentId] = dosing.getDailyDoseFromInfo(doseInfo);
+        });
+        return dailyDoses;
+    }
+
+    calculateSupplyPlan(patientProfile, componentDoses, period = 30) {
+        const stages = new StageEngine(this.stagesData);
+        const startDate = stages.parseDate(patientProfile.treatmentStart || new Date());
+
+        // "protocol" covers the longest expected protocol duration for this stage
+        let days = Number(period);
+        if (period === 'protocol') {
+            const duration = stages.getProtocolDuration(patientProfile.stage, patientProfile);
+            days = Math.round((stages.addMonths(startDate, duration.max) - startDate) / (24 * 3600 * 1000));
+        }
+
+        return new SupplyEngine(this.componentsData).buildSupplyPlan(componentDoses, patientProfile, { days, startDate });
+    }
+
     calculateOverallEffectiveness(components, doses, synergies, profile) {
         // Diminishing-returns aggregation: 100 * (1 - Π (1 - effect_i * weight_i / 100))
         const aggregateMetric = (metricKey) => {
             let product = 1.0;
             components.forEach(componentId => {
-                const component = this.componentsData.components[componentId];
-                if (!component) return;
-                const pd = component.pharmacodynamics || {};
-                const base = Number(pd[metricKey] || 0);
-                const weight = Math.max(0, Math.min(2, doses[componentId].adjustedDose / (component.dosePerKg * profile.weight)));
-                const contribution = Math.max(0, Math.min(1, (base / 100) * weight));
-                product *= (1 - contribution);
+                product *= (1 - this.getComponentEffect(componentId, doses, metricKey, profile));
             });
             let value = 100 * (1 - product);
             // Overall synergy factor capped and softened
             let overallSynergyFactor = 1.0;
             let high = 0, moderate = 0;
-            Object.values(synergies).forEach(s => {
-                if (s.significance === 'high') { overallSynergyFactor *= Math.min(s.factor || 1, 1.6); high++; }
+            synergies.forEach(s => {
+                // Network entries overlap the pairwise factors and stay out of the product
+                if (s.separated || s.type === 'network') return;
+                if (s.factor < 1) { overallSynergyFactor *= s.factor; }
+                else if (s.significance === 'high') { overallSynergyFactor *= Math.min(s.factor || 1, 1.6); high++; }
                 else if (s.significance === 'moderate') { overallSynergyFactor *= Math.min(s.factor || 1, 1.3); moderate++; }
             });
             // Bound the exponents to prevent extreme values
@@ -109,7 +240,8 @@ class PeyronieMedicalCalculator {
             overallSynergyFactor = Math.max(0.5, Math.min(overallSynergyFactor, 1.8));
             // Ensure value is positive before power operation
             value = Math.max(0, value);
-            value = Math.pow(value, 0.9) * (0.85 + 0.15 * Math.max(0, Math.min((overallSynergyFactor - 1) / 0.8, 1)));
+            // Synergy lifts the outcome and antagonism lowers it, within the bounds above
+            value = Math.pow(value, 0.9) * (0.85 + 0.15 * Math.max(-1, Math.min((overallSynergyFactor - 1) / 0.8, 1)));
             return Math.max(0, Math.min(100, value));
         };
 
@@ -126,7 +258,8 @@ class PeyronieMedicalCalculator {
         const covered = components.filter(c => core.includes(c)).length;
         const coverageRatio = core.length ? covered / core.length : 0.5;
         let synergyBoost = 1.0;
-        Object.values(synergies).forEach(s => { synergyBoost *= Math.min(s.factor || 1, 1.5); });
+        // Network entries restate their pairs and are not counted again
+        synergies.forEach(s => { if (!s.separated && s.type !== 'network') synergyBoost *= Math.min(s.factor || 1, 1.5); });
         synergyBoost = Math.min(synergyBoost, 1.6);
         let penalty = 0;
         if (profile.age >= 65) penalty += 10;
@@ -146,44 +279,42 @@ class PeyronieMedicalCalculator {
         };
     }
 
-    generateWarnings(profile, components) {
-        const warnings = [];
-
-        // Age warnings
-        if (profile.age >= 65) {
-            warnings.push('Elderly patient: Consider reduced dosing for some components');
-        }
+    assessTimelinePhases(protocolTimeline, patientProfile, rules, interactions, contributions) {
+        const key = warning => `${warning.id}:${warning.component || ''}`;
 
-        // BMI warnings
-        if (profile.bmi >= 30) {
-            warnings.push('Obesity may require dose adjustments for fat-soluble compounds');
-        }
+        protocolTimeline.phases.forEach((phase, index) => {
+            const profile = { ...patientProfile, stage: phase.stage };
+            const previous = protocolTimeline.phases[index - 1] || null;
 
-        // Kidney function warnings
-        if (profile.creatinineClearance < 30) {
-            warnings.push('Severe kidney impairment: Dose reductions required');
-        }
+            phase.warnings = this.generateWarnings(profile, phase.components, rules, interactions);
+            phase.bleedingRisk = interactions.calculateBleedingRisk(phase.components, profile, contributions);
 
-        // Liver function warnings (Child-Pugh B per model)
-        if (profile.liverFunction === 'childB') {
-            warnings.push('Liver impairment: Significant dose adjustments needed');
-        }
-        
-        // Acute with plaque warning
-        if (profile.stage === 'acute' && profile.hasPlaque) {
-            warnings.push('Acute phase with established plaque: Full protocol recommended');
-        }
+            // What a phase raises that the phase before it did not
+            const known = new Set((previous?.warnings || []).map(key));
+            phase.newWarnings = previous ? phase.warnings.filter(warning => !known.has(key(warning))) : [];
+            phase.bleedingRiskChanged = Boolean(previous && phase.bleedingRisk &&
+                phase.bleedingRisk.score !== previous.bleedingRisk?.score);
+        });
+    }
 
-        // Component-specific warnings
-        if (components.includes('pentoxifylline') && profile.creatinineClearance < 30) {
-            warnings.push('Pentoxifylline: 50% dose reduction required for severe kidney impairment');
-        }
+    generateWarnings(profile, components, rules, interactions, separationConflicts = []) {
+        // Patient and component rules from data/rules.json, concomitant medication
+        // interactions from data/medications.json and unresolved schedule separations, most severe first
+        const name = componentId => this.componentsData.components[componentId]?.name || componentId;
 
-        if (components.includes('diclofenac') && profile.liverFunction !== 'normal') {
-            warnings.push('Diclofenac: Use with caution in liver impairment');
-        }
-
-        return warnings;
+        return rules.sortBySeverity([
+            ...rules.evaluate(profile, components),
+            ...interactions.checkMedicationInteractions(profile.medications || [], components),
+            ...separationConflicts.map(conflict => ({
+                id: `separation:${conflict.key}`,
+                type: 'separation',
+                severity: 'caution',
+                component: conflict.components[0],
+                message: `${conflict.components.map(name).join(' and ')} should be taken at least ${conflict.hours} h apart (${conflict.mechanism.toLowerCase()}); the schedule could not separate them`,
+                citationKey: null,
+                citation: null
+            }))
+        ]);
     }
 }
 
@@ -2,12 +2,32 @@
 class CalculatorUI {
     constructor() {
         this.calculator = null;
-        this.currentPatient = {
+        this.dosing = null;
+        this.lastResults = null;
+        this.matrixDetails = {};
+        this.currentPatient = this.getDefaultPatient();
+        this.selectedComponents = new Set();
+        this.metrics = new PatientMetricsEngine();
+        this.costs = new CostEngine();
+    }
+
+    getDefaultPatient() {
+        // Treatment starts today unless the user picks another date
+        const today = new Date();
+        const treatmentStart = [
+            today.getFullYear(),
+            String(today.getMonth() + 1).padStart(2, '0'),
+            String(today.getDate()).padStart(2, '0')
+        ].join('-');
+
+        return {
             weight: 75, height: 175, age: 45, bmi: 24.5,
-            creatinine: 'normal', liver: 'normal', smoking: 'never',
-            diseaseStage: 'chronic', curvature: 30, hasPlaque: 'no'
+            serumCreatinine: 1.0, creatinineUnit: 'mg/dL', liver: 'normal', smoking: 'never',
+            bilirubin: null, albumin: null, inr: null, ascites: '', encephalopathy: '',
+            diseaseStage: 'chronic', curvature: 30, hasPlaque: 'no', treatmentStart,
+            symptomDuration: '', painfulErections: 'unknown', curvatureChange: 'unknown',
+            medications: []
         };
-        this.selectedComponents = new Set();
     }
 
     async initialize() {
@@ -16,9 +36,19 @@ class CalculatorUI {
             await window.dataLoader.loadAllData();
             this.calculator = window.calculator;
             await this.calculator.initialize();
+            this.dosing = new DosingEngine(this.calculator.componentsData);
+
+            // Component, rule and medication citations share the page's citation tooltips
+            Object.assign(citations, this.calculator.componentsData.citations || {},
+                this.calculator.rulesData.citations || {}, this.calculator.medicationsData.citations || {});
 
             // Render dynamic components list from data
             this.renderComponentsList();
+            this.renderMedicationList();
+
+            // Date inputs have no static default; start from today
+            const startInput = document.getElementById('treatmentStart');
+            if (startInput) startInput.value = this.currentPatient.treatmentStart;
 
             // Set up event listeners
             this.setupEventListeners();
@@ -61,9 +91,43 @@ class CalculatorUI {
         }
     }
 
+    renderMedicationList() {
+        const container = document.getElementById('medication-list');
+        if (!container) return;
+
+        const { classes, medications } = window.dataLoader.getMedicationsData();
+        const selected = new Set(this.currentPatient.medications);
+
+        container.innerHTML = Object.entries(classes).map(([classId, label]) => {
+            const options = Object.entries(medications)
+                .filter(([, medication]) => medication.class === classId)
+                .map(([id, medication]) => `
+                    <label class="medication-option">
+                        <input type="checkbox" class="medication-checkbox" value="${id}" ${selected.has(id) ? 'checked' : ''}>
+                        <span>${medication.name}</span>
+                    </label>
+                `).join('');
+            return options ? `
+                <div class="medication-class">
+                    <div class="medication-class-label">${label}</div>
+                    ${options}
+                </div>
+            ` : '';
+        }).join('');
+    }
+
     setupEventListeners() {
         // Patient profile inputs
-        const patientInputs = ['weight', 'height', 'age', 'creatinine', 'liver', 'smoking', 'diseaseStage', 'curvature', 'hasPlaque'];
+        const patientInputs = [
+            'weight', 'height', 'age', 'serumCreatinine', 'creatinineUnit', 'liver', 'smoking', 'diseaseStage', 'curvature', 'hasPlaque',
+            'symptomDuration', 'painfulErections', 'curvatureChange',
+            'bilirubin', 'albumin', 'inr', 'ascites', 'encephalopathy', 'treatmentStart'
+        ];
+        // Printouts always include the dose derivation panels
+        window.addEventListener('beforeprint', () => {
+            document.querySelectorAll('.dose-trace').forEach(panel => { panel.open = true; });
+        });
+
         patientInputs.forEach(inputName => {
             const input = document.getElementById(inputName);
             if (input) {
@@ -71,6 +135,34 @@ class CalculatorUI {
             }
         });
 
+        // Interaction matrix details follow the hovered or focused cell
+        const synergyResults = document.getElementById('synergy-results');
+        if (synergyResults) {
+            const showDetail = (event) => {
+                const cell = event.target.closest?.('.matrix-cell[data-pair]');
+                const detail = synergyResults.querySelector('.matrix-detail');
+                if (cell && detail) detail.innerHTML = this.formatMatrixDetail(cell.dataset.pair);
+            };
+            synergyResults.addEventListener('mouseover', showDetail);
+            synergyResults.addEventListener('focusin', showDetail);
+        }
+
+        // Concomitant medications
+        const medicationList = document.getElementById('medication-list');
+        if (medicationList) {
+            medicationList.addEventListener('change', (event) => {
+                if (!event.target.classList.contains('medication-checkbox')) return;
+                const medications = new Set(this.currentPatient.medications);
+                if (event.target.checked) {
+                    medications.add(event.target.value);
+                } else {
+                    medications.delete(event.target.value);
+                }
+                this.currentPatient.medications = Array.from(medications);
+                this.updateCalculations();
+            });
+        }
+
         // Component checkboxes
         const componentIds = window.dataLoader.getAllComponentIds();
         componentIds.forEach(id => {
@@ -80,6 +172,63 @@ class CalculatorUI {
             }
         });
 
+        // Calendar export
+        const calendarBtn = document.getElementById('export-calendar-button');
+        if (calendarBtn) {
+            calendarBtn.addEventListener('click', () => this.exportCalendar());
+        }
+
+        // Protocol timeline month picker; phase bar segments jump to their first month
+        const timelineMonth = document.getElementById('timeline-month');
+        if (timelineMonth) {
+            timelineMonth.addEventListener('change', () => this.updateProtocolTimeline());
+        }
+        const timelinePhases = document.querySelector('#protocol-timeline .timeline-phases');
+        if (timelinePhases) {
+            timelinePhases.addEventListener('click', (event) => {
+                const segment = event.target.closest?.('.timeline-phase[data-month]');
+                if (!segment || !timelineMonth) return;
+                timelineMonth.value = segment.dataset.month;
+                this.updateProtocolTimeline();
+            });
+        }
+
+        // Visit plan checklist printout
+        const visitPrintBtn = document.getElementById('visit-plan-print-button');
+        if (visitPrintBtn) {
+            visitPrintBtn.addEventListener('click', () => this.printVisitPlan());
+        }
+
+        // Supply planner period and exports
+        const supplyPeriod = document.getElementById('supply-period');
+        if (supplyPeriod) {
+            supplyPeriod.addEventListener('change', () => this.updateSupplyPlan());
+        }
+        const supplyPrintBtn = document.getElementById('supply-print-button');
+        if (supplyPrintBtn) {
+            supplyPrintBtn.addEventListener('click', () => this.printSupplyPlan());
+        }
+        const supplyCsvBtn = document.getElementById('supply-csv-button');
+        if (supplyCsvBtn) {
+            supplyCsvBtn.addEventListener('click', () => this.exportSupplyCsv());
+        }
+
+        // Price catalog edits (inputs are re-rendered with the cost table)
+        const costContainer = document.getElementById('cost-estimate');
+        if (costContainer) {
+            costContainer.addEventListener('change', (event) => {
+                const target = event.target;
+                if (target.classList.contains('price-input')) {
+                    const product = { strength: parseFloat(target.dataset.strength), packageSize: parseInt(target.dataset.packageSize, 10) };
+                    this.costs.setPrice(target.dataset.component, product, target.value === '' ? null : parseFloat(target.value));
+                    this.updateCostEstimate();
+                } else if (target.id === 'price-currency') {
+                    this.costs.setCurrency(target.value.trim());
+                    this.updateCostEstimate();
+                }
+            });
+        }
+
         // Reset button
         const resetBtn = document.querySelector('.reset-btn');
         if (resetBtn) {
@@ -91,8 +240,23 @@ class CalculatorUI {
 
     updatePatientProfile(field, value) {
         // Convert and validate input
-        if (['weight', 'height', 'age', 'curvature'].includes(field)) {
+        if (['bilirubin', 'albumin', 'inr'].includes(field)) {
+            // A cleared lab is not assessed, never 0
+            const lab = parseFloat(value);
+            this.currentPatient[field] = isNaN(lab) ? null : lab;
+        } else if (['weight', 'height', 'age', 'curvature', 'serumCreatinine'].includes(field)) {
             this.currentPatient[field] = parseFloat(value) || 0;
+        } else if (field === 'symptomDuration') {
+            // Blank stays unknown so it never counts as a short history
+            const months = parseFloat(value);
+            this.currentPatient[field] = isNaN(months) ? '' : months;
+        } else if (field === 'creatinineUnit') {
+            // Keep the entered creatinine value equivalent when the unit changes
+            const converted = this.metrics.convertCreatinine(this.currentPatient.serumCreatinine, this.currentPatient.creatinineUnit, value);
+            this.currentPatient.serumCreatinine = value === 'umol/L' ? Math.round(converted) : Math.round(converted * 100) / 100;
+            this.currentPatient.creatinineUnit = value;
+            const creatinineInput = document.getElementById('serumCreatinine');
+            if (creatinineInput) creatinineInput.value = this.currentPatient.serumCreatinine;
         } else {
             this.currentPatient[field] = value;
         }
@@ -118,6 +282,27 @@ class CalculatorUI {
         return weight / (heightM * heightM);
     }
 
+    calculateCreatinineClearance() {
+        return this.metrics.calculateCreatinineClearance({
+            age: this.currentPatient.age,
+            weight: this.currentPatient.weight,
+            serumCreatinine: this.currentPatient.serumCreatinine,
+            unit: this.currentPatient.creatinineUnit
+        });
+    }
+
+    calculateChildPugh() {
+        if (this.currentPatient.liver !== 'child-pugh') return null;
+
+        return this.metrics.calculateChildPugh({
+            bilirubin: this.currentPatient.bilirubin,
+            albumin: this.currentPatient.albumin,
+            inr: this.currentPatient.inr,
+            ascites: this.currentPatient.ascites,
+            encephalopathy: this.currentPatient.encephalopathy
+        });
+    }
+
     initializeStageBasedComponents() {
         this.updateStageBasedComponents();
     }
@@ -213,13 +398,11 @@ class CalculatorUI {
 
     formatPatientProfile() {
         // Convert UI patient format to calculator format
-        let creatinineClearance = 90; // Default normal (~>60)
-        if (this.currentPatient.creatinine === 'mild') creatinineClearance = 50;
-        else if (this.currentPatient.creatinine === 'moderate') creatinineClearance = 25;
+        const creatinineClearance = this.calculateCreatinineClearance();
 
-        // Normalize liver function from UI select to model enums (Child-Pugh B only)
-        let liverFunction = 'normal';
-        if (this.currentPatient.liver === 'child-b') liverFunction = 'childB';
+        // Normalize liver function from UI select to model enums (Child-Pugh class)
+        const childPugh = this.calculateChildPugh();
+        const liverFunction = childPugh ? childPugh.liverFunction : 'normal';
 
         return {
             weight: this.currentPatient.weight,
@@ -227,26 +410,65 @@ class CalculatorUI {
             age: this.currentPatient.age,
             bmi: this.currentPatient.bmi,
             smoking: this.currentPatient.smoking === 'current',
+            serumCreatinine: this.metrics.convertCreatinineToMgdl(this.currentPatient.serumCreatinine, this.currentPatient.creatinineUnit),
             creatinineClearance: creatinineClearance,
             liverFunction,
+            childPugh,
             stage: this.currentPatient.diseaseStage,
             hasPlaque: this.currentPatient.hasPlaque !== 'no',
-            hasCalcification: this.currentPatient.hasPlaque === 'calcified'
+            hasCalcification: this.currentPatient.hasPlaque === 'calcified',
+            curvature: this.currentPatient.curvature,
+            // Unknown findings stay null so the stage classifier ignores them
+            symptomDuration: this.currentPatient.symptomDuration === '' ? null : this.currentPatient.symptomDuration,
+            painfulErections: { yes: true, no: false }[this.currentPatient.painfulErections] ?? null,
+            curvatureStable: { stable: true, progressing: false }[this.currentPatient.curvatureChange] ?? null,
+            treatmentStart: this.currentPatient.treatmentStart || null,
+            medications: [...this.currentPatient.medications]
         };
     }
 
     updateResults(results) {
+        // Keep the latest results for exports
+        this.lastResults = results;
+
         // Update therapy components
         this.updateTherapyComponents(results.componentDoses);
         
         // Update effectiveness metrics
         this.updateEffectivenessResults(results.effectiveness);
         
+        // Update interaction matrix
+        this.updateSynergyResults(results.synergyEffects, results.interactionReport.network);
+
         // Update warnings
         this.updateWarnings(results.warnings);
+
+        // Update cumulative bleeding-risk score
+        this.updateBleedingRisk(results.bleedingRisk);
         
         // Update stage recommendations
         this.updateStageRecommendations(results.stageRecommendations);
+
+        // Update plasma time-course summaries
+        this.updatePlasmaProfiles(results.plasmaProfiles);
+
+        // Update "what to take when" timeline
+        this.updateDailySchedule(results.dailyTimeline);
+
+        // Update week-by-week titration plan
+        this.updateTitrationPlan(results.titrationPlan);
+
+        // Update phases of the whole course and the selected month
+        this.updateProtocolTimeline();
+
+        // Update dated monitoring checklist
+        this.updateVisitPlan(results.visitPlan);
+
+        // Update shopping list for the selected supply period
+        this.updateSupplyPlan();
+
+        // Update cost estimate from the local price catalog
+        this.updateCostEstimate();
     }
 
     updateDosingResults(componentDoses) {
@@ -256,18 +478,8 @@ class CalculatorUI {
         const dosingHTML = Object.entries(componentDoses).map(([componentId, dose]) => {
             const component = window.dataLoader.getComponent(componentId);
             
-            // Special handling for vitamin D3+K2 complex and curcumin+piperine
-            let doseDisplay = `${dose.adjustedDose} ${dose.unit}`;
-            if (componentId === 'vitamin-d3-k2-complex') {
-                // Calculate K2 dose based on ratio (100 µg K2 for 4000 IU D3)
-                const k2Dose = Math.round(dose.adjustedDose * 100 / 4000);
-                doseDisplay = `${dose.adjustedDose} IU + ${k2Dose} µg`;
-            } else if (componentId === 'curcumin-piperine') {
-                // Calculate piperine dose based on ratio (10 mg piperine for 1000 mg curcumin)
-                const piperineDose = Math.round(dose.adjustedDose * 10 / 1000);
-                doseDisplay = `${dose.adjustedDose} mg + ${piperineDose} mg`;
-            }
-            
+            const doseDisplay = this.formatDose(componentId, dose.adjustedDose);
+
             return `
                 <div class="dose-item">
                     <span class="component-name">${component.name}</span>
@@ -284,19 +496,7 @@ class CalculatorUI {
         Object.entries(componentDoses).forEach(([componentId, dose]) => {
             const doseSpan = document.getElementById(`dose-${componentId}`);
             if (!doseSpan) return;
-            let amountText = `${dose.adjustedDose}${dose.unit}`;
-            
-            // Special handling for vitamin D3+K2 complex and curcumin+piperine
-            if (componentId === 'vitamin-d3-k2-complex') {
-                const k2Dose = Math.round(dose.adjustedDose * 100 / 4000);
-                amountText = `${dose.adjustedDose}IU + ${k2Dose}µg`;
-            } else if (componentId === 'curcumin-piperine') {
-                const piperineDose = Math.round(dose.adjustedDose * 10 / 1000);
-                amountText = `${dose.adjustedDose}mg + ${piperineDose}mg`;
-            } else if (dose.route === 'topical') {
-                const grams = Math.round((dose.adjustedDose / 1000) * 10) / 10;
-                amountText = `${grams}g`;
-            }
+            const amountText = this.formatDose(componentId, dose.adjustedDose, { compact: true });
             let text = `${amountText} ${dose.frequency}`;
             if (dose.adjustmentFactor !== 1) {
                 const arrow = dose.adjustmentFactor > 1 ? ' ↑' : ' ↓';
@@ -318,16 +518,8 @@ class CalculatorUI {
         Object.entries(componentDoses).forEach(([componentId, dose]) => {
             const component = window.dataLoader.getComponent(componentId);
             
-            // Special handling for vitamin D3+K2 complex and curcumin+piperine
-            let doseDisplay = `${dose.adjustedDose}${dose.unit}`;
-            if (componentId === 'vitamin-d3-k2-complex') {
-                const k2Dose = Math.round(dose.adjustedDose * 100 / 4000);
-                doseDisplay = `${dose.adjustedDose}IU + ${k2Dose}µg`;
-            } else if (componentId === 'curcumin-piperine') {
-                const piperineDose = Math.round(dose.adjustedDose * 10 / 1000);
-                doseDisplay = `${dose.adjustedDose}mg + ${piperineDose}mg`;
-            }
-            
+            const doseDisplay = this.formatDose(componentId, dose.adjustedDose, { compact: true });
+
             const componentInfo = {
                 name: component.name,
                 dose: dose.adjustedDose,
@@ -336,6 +528,13 @@ class CalculatorUI {
                 frequency: dose.frequency,
                 route: dose.route,
                 adjustmentFactor: dose.adjustmentFactor,
+                steadyState: dose.steadyState,
+                practicalDose: dose.practicalDose,
+                noSuitableProduct: dose.noSuitableProduct,
+                weightBasis: dose.weightBasis,
+                dosingWeight: dose.dosingWeight,
+                rangeStatus: dose.rangeStatus,
+                trace: dose.trace,
                 componentId: componentId
             };
             
@@ -351,24 +550,309 @@ class CalculatorUI {
             <div class="therapy-component">
                 <div class="component-name">${comp.name}</div>
                 <div class="component-dose">${comp.doseDisplay} ${comp.frequency}</div>
+                ${this.formatPracticalDose(comp.practicalDose, comp.noSuitableProduct)}
                 ${comp.adjustmentFactor !== 1 ? 
                     `<div class="dose-adjustment">${Math.round(comp.adjustmentFactor * 100)}% adjusted</div>` : 
                     ''}
+                ${this.formatRangeStatus(comp.rangeStatus)}
+                ${this.formatWeightBasisNote(comp)}
+                ${this.formatSteadyStateNote(comp.steadyState)}
+                ${this.formatDoseTrace(comp.trace)}
             </div>
         `).join('') || '<div class="no-components">No oral components selected</div>';
         
         // Render topical components
-        topicalContainer.innerHTML = topicalComponents.map(comp => {
-            const grams = Math.round((comp.dose / 1000) * 10) / 10;
-            return `
+        topicalContainer.innerHTML = topicalComponents.map(comp => `
             <div class="therapy-component">
                 <div class="component-name">${comp.name}</div>
-                <div class="component-dose">${grams}g ${comp.frequency}</div>
+                <div class="component-dose">${comp.doseDisplay} ${comp.frequency}</div>
+                ${this.formatPracticalDose(comp.practicalDose, comp.noSuitableProduct)}
                 ${comp.adjustmentFactor !== 1 ? 
                     `<div class="dose-adjustment">${Math.round(comp.adjustmentFactor * 100)}% adjusted</div>` : 
                     ''}
+                ${this.formatRangeStatus(comp.rangeStatus)}
+                ${this.formatWeightBasisNote(comp)}
+                ${this.formatSteadyStateNote(comp.steadyState)}
+                ${this.formatDoseTrace(comp.trace)}
             </div>
-        `}).join('') || '<div class="no-components">No topical components selected</div>';
+        `).join('') || '<div class="no-components">No topical components selected</div>';
+    }
+
+    formatDose(componentId, dose, { compact = false } = {}) {
+        // Multi-ingredient and topical displays come from each component's ingredient list
+        const separator = compact ? '' : ' ';
+        return this.dosing.getIngredientAmounts(componentId, dose)
+            .map(ingredient => `${ingredient.amount}${separator}${ingredient.unit}`)
+            .join(' + ');
+    }
+
+    getSupplyPlan() {
+        if (!this.lastResults) return null;
+        const periodSelect = document.getElementById('supply-period');
+        const period = periodSelect ? periodSelect.value : 30;
+        return this.calculator.calculateSupplyPlan(this.formatPatientProfile(), this.lastResults.componentDoses, period);
+    }
+
+    updateSupplyPlan() {
+        const container = document.querySelector('#supply-planner .supply-table-container');
+        if (!container) return;
+
+        const plan = this.getSupplyPlan();
+        if (!plan || plan.items.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const formatDate = date => date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+        container.innerHTML = `
+            <div class="supply-summary">
+                ${formatDate(plan.startDate)} – ${formatDate(plan.endDate)} (${plan.days} days) · ${plan.totalPackages} packages in total
+            </div>
+            <table class="supply-table">
+                <thead>
+                    <tr>
+                        <th>Component</th>
+                        <th>Product</th>
+                        <th>Units needed</th>
+                        <th>Packages</th>
+                        <th>Refill dates</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${plan.items.map(item => `
+                        <tr>
+                            <td>
+                                <span class="component-name">${item.name}</span>
+                                ${item.titrated ? '<div class="supply-note">Includes titration weeks</div>' : ''}
+                            </td>
+                            <td>${item.product ? `${item.product.unitLabel} × ${item.product.packageSize}` : '–'}</td>
+                            <td>${item.units !== null ? item.units : this.formatDose(item.id, item.totalAmount)}</td>
+                            <td>${item.packages !== null ? item.packages : '–'}</td>
+                            <td class="supply-refills">${item.refillDates.length > 0 ? item.refillDates.map(formatDate).join(', ') : '–'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    updateCostEstimate() {
+        const container = document.querySelector('#cost-estimate .cost-table-container');
+        if (!container) return;
+
+        if (!this.lastResults || Object.keys(this.lastResults.componentDoses).length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const protocolPlan = this.calculator.calculateSupplyPlan(this.formatPatientProfile(), this.lastResults.componentDoses, 'protocol');
+        const estimate = this.costs.estimateCosts(protocolPlan, this.lastResults.componentContributions);
+        // The currency is free text from localStorage
+        const currency = this.escapeHtml(estimate.currency);
+        const money = value => value === null ? '–' : `${currency}${value.toFixed(2)}`;
+        const months = Math.round(estimate.protocolDays / this.costs.daysPerMonth);
+
+        container.innerHTML = `
+            <div class="cost-summary">
+                <label for="price-currency">Currency</label>
+                <input type="text" id="price-currency" class="currency-input" maxlength="4" value="${currency}">
+                <span class="cost-total">Monthly: <strong>${money(estimate.monthlyTotal)}</strong></span>
+                <span class="cost-total">Full protocol (${months} months): <strong>${money(estimate.protocolTotal)}</strong></span>
+                ${estimate.unpricedCount > 0 ? `<span class="cost-unpriced">${estimate.unpricedCount} component${estimate.unpricedCount === 1 ? '' : 's'} without a price</span>` : ''}
+            </div>
+            <table class="cost-table">
+                <thead>
+                    <tr>
+                        <th>Component</th>
+                        <th>Package price</th>
+                        <th>Monthly</th>
+                        <th>Share</th>
+                        <th>Effect contribution</th>
+                        <th>Cost per point / month</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${estimate.items.map(item => `
+                        <tr>
+                            <td>
+                                <span class="component-name">${item.name}</span>
+                                ${item.product ? `<div class="cost-product">${item.product.unitLabel} × ${item.product.packageSize}</div>` : ''}
+                            </td>
+                            <td>
+                                ${item.product ? `
+                                    <input type="number" class="price-input" min="0" step="0.01"
+                                        data-component="${item.id}" data-strength="${item.product.strength}" data-package-size="${item.product.packageSize}"
+                                        value="${item.price !== null ? item.price : ''}" placeholder="Price">
+                                ` : '–'}
+                            </td>
+                            <td>${money(item.monthlyCost)}</td>
+                            <td>
+                                ${item.share !== null ? `
+                                    <div class="cost-share-bar"><div class="cost-share-fill" style="width: ${item.share}%"></div></div>
+                                    <span class="cost-share">${item.share}%</span>
+                                ` : '–'}
+                            </td>
+                            <td>${item.contribution !== null ? `${item.contribution} pts` : '–'}</td>
+                            <td>${money(item.costPerPoint)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="cost-note">Prices are stored only in this browser. Effect contribution is each component's share of the mean modeled reduction.</div>
+        `;
+    }
+
+    printVisitPlan() {
+        if (!this.lastResults?.visitPlan?.visits.length) {
+            this.showError('Select components and a treatment start date before printing the visit plan.');
+            return;
+        }
+
+        // Print styles hide everything except the visit checklist while this class is set
+        document.body.classList.add('print-visits');
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-visits'), { once: true });
+        window.print();
+    }
+
+    printSupplyPlan() {
+        // Print styles hide everything except the shopping list while this class is set
+        document.body.classList.add('print-supply');
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-supply'), { once: true });
+        window.print();
+    }
+
+    exportSupplyCsv() {
+        const plan = this.getSupplyPlan();
+        if (!plan) {
+            this.showError('Select components before exporting the supply plan.');
+            return;
+        }
+
+        const csv = new SupplyEngine(this.calculator.componentsData).toCsv(plan);
+        this.downloadFile(`supply-plan-${plan.days}-days.csv`, csv, 'text/csv;charset=utf-8');
+    }
+
+    exportCalendar() {
+        const results = this.lastResults;
+        if (!results || !this.currentPatient.treatmentStart) {
+            this.showError('Select components and a treatment start date before exporting.');
+            return;
+        }
+
+        const stages = new StageEngine(this.calculator.stagesData);
+        const startDate = stages.parseDate(this.currentPatient.treatmentStart);
+        const ics = new CalendarExportEngine().buildCalendar({
+            startDate,
+            // The course can outlast the stage's protocol once transitions and injectables are planned
+            endDate: stages.addMonths(startDate, results.protocolTimeline.totalMonths),
+            dailyTimeline: results.dailyTimeline,
+            monitoringVisits: results.monitoringVisits,
+            titrationPlan: results.titrationPlan
+        });
+
+        this.downloadFile(`treatment-plan-${this.currentPatient.treatmentStart}.ics`, ics, 'text/calendar;charset=utf-8');
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value).replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    formatPracticalDose(practicalDose, noSuitableProduct = false) {
+        if (noSuitableProduct) {
+            return '<div class="formulary-units no-product">No suitable product strength: the smallest unit exceeds this dose</div>';
+        }
+        if (!practicalDose) return '';
+
+        const sign = practicalDose.roundingErrorPercent > 0 ? '+' : '';
+        const deviation = practicalDose.roundingErrorPercent !== 0
+            ? ` (${sign}${practicalDose.roundingErrorPercent}% vs computed)`
+            : '';
+        return `<div class="formulary-units">${practicalDose.unitsPerDose} × ${practicalDose.unitLabel}${deviation}</div>`;
+    }
+
+    formatRangeStatus(rangeStatus) {
+        if (!rangeStatus || rangeStatus.status === 'no-range') return '';
+
+        const labels = {
+            'within': '✓ Within range',
+            'clamped': '⛔ Clamped',
+            'below-minimum': '↓ Below therapeutic minimum',
+            'above-range': '↑ Above documented range'
+        };
+
+        const rounding = rangeStatus.rounding?.leavesRange
+            ? `<div class="range-status rounding">↕ ${rangeStatus.rounding.reason}</div>`
+            : '';
+        const ref = rangeStatus.citationKey ? ` <span class="citation-link" data-citation="${rangeStatus.citationKey}">[ref]</span>` : '';
+        return `<div class="range-status ${rangeStatus.status}" title="${rangeStatus.reason}">${labels[rangeStatus.status]}${rangeStatus.status === 'within' ? '' : `: ${rangeStatus.reason}`}${ref}</div>${rounding}`;
+    }
+
+    formatWeightBasisNote(comp) {
+        const labels = {
+            ideal: 'ideal body weight',
+            adjusted: 'adjusted body weight',
+            lean: 'lean body weight'
+        };
+
+        if (comp.weightBasis === 'fixed') {
+            return '<div class="weight-basis-note">Fixed dose (not weight-based)</div>';
+        }
+        if (labels[comp.weightBasis]) {
+            return `<div class="weight-basis-note">Dosed on ${labels[comp.weightBasis]} (${comp.dosingWeight} kg)</div>`;
+        }
+        return '';
+    }
+
+    formatDoseTrace(trace) {
+        if (!trace || trace.length === 0) return '';
+
+        const steps = trace.map(step => {
+            const factor = typeof step.factor === 'number' ? ` × ${step.factor}` : '';
+            const trigger = step.trigger ? ` <span class="trace-trigger">(${step.trigger})</span>` : '';
+            const ref = step.citationKey ? ` <span class="citation-link" data-citation="${step.citationKey}">[ref]</span>` : '';
+            const detail = step.detail ? `<div class="trace-detail">${step.detail}</div>` : '';
+            return `
+                <li class="trace-step trace-${step.step}">
+                    <span class="trace-label">${step.label}${factor}</span>${trigger}${ref}
+                    <span class="trace-value">${step.value} ${step.unit}</span>
+                    ${detail}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <details class="dose-trace">
+                <summary>How was this calculated?</summary>
+                <ol>${steps}</ol>
+            </details>
+        `;
+    }
+
+    formatSteadyStateNote(steadyState) {
+        if (!steadyState) return '';
+
+        // Short half-life components plateau within the first day
+        if (steadyState.timeToSteadyStateDays <= 1) {
+            return '<div class="steady-state-note">Full exposure from day 1</div>';
+        }
+
+        const accumulation = steadyState.accumulationFactor >= 1.5
+            ? ` (levels build up ${steadyState.accumulationFactor}×)`
+            : '';
+        return `<div class="steady-state-note">Full exposure after ~${steadyState.timeToSteadyStateDays} days${accumulation}</div>`;
     }
 
     updateEffectivenessResults(effectiveness) {
@@ -400,22 +884,444 @@ class CalculatorUI {
         }
     }
 
-    updateSynergyResults(synergyEffects) {
+    updateSynergyResults(synergyEffects, network = null) {
         const synergyContainer = document.getElementById('synergy-results');
         if (!synergyContainer) return;
 
-        const synergyHTML = Object.entries(synergyEffects).map(([pair, synergy]) => {
-            const components = pair.split('-').join(' + ');
+        const selected = Array.from(this.selectedComponents);
+        const name = componentId => window.dataLoader.getComponent(componentId)?.name || componentId;
+        const pairKey = (a, b) => [a, b].sort().join('|');
+
+        // Pairwise entries fill the matrix; entries spanning 3+ components are listed below it
+        this.matrixDetails = {};
+        const networks = [];
+        synergyEffects.forEach(synergy => {
+            if (synergy.components.length === 2) {
+                this.matrixDetails[pairKey(...synergy.components)] = synergy;
+            } else {
+                networks.push(synergy);
+            }
+        });
+
+        if (Object.keys(this.matrixDetails).length === 0 && networks.length === 0) {
+            synergyContainer.innerHTML = '<div class="no-synergies">No interactions between the selected components</div>';
+            return;
+        }
+
+        const cell = (rowId, columnId) => {
+            if (rowId === columnId) return '<td class="matrix-cell matrix-diagonal"></td>';
+            const key = pairKey(rowId, columnId);
+            const synergy = this.matrixDetails[key];
+            if (!synergy) return '<td class="matrix-cell matrix-empty"></td>';
+            return `
+                <td class="matrix-cell type-${synergy.type} significance-${synergy.significance}" data-pair="${key}" tabindex="0">
+                    ${synergy.factor}×
+                </td>
+            `;
+        };
+
+        const types = [...new Set(Object.values(this.matrixDetails).map(synergy => synergy.type))];
+
+        synergyContainer.innerHTML = `
+            <table class="interaction-matrix">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${selected.map((componentId, index) => `<th class="matrix-column" title="${name(componentId)}">${index + 1}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${selected.map((rowId, index) => `
+                        <tr>
+                            <th class="matrix-row">${index + 1}. ${name(rowId)}</th>
+                            ${selected.map(columnId => cell(rowId, columnId)).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="matrix-legend">
+                ${types.map(type => `<span class="matrix-legend-item"><span class="matrix-swatch type-${type}"></span>${type}</span>`).join('')}
+                <span class="matrix-legend-item">Stronger color = higher significance</span>
+            </div>
+            ${networks.length > 0 ? `
+                <div class="matrix-networks">
+                    ${networks.map(network => `
+                        <div class="matrix-network"><strong>${network.components.map(name).join(' + ')}</strong> (${network.factor}×): ${network.mechanism}${network.verification ? ` <a href="${network.verification}" target="_blank" rel="noopener" class="tooltip-link">View Study</a>` : ''}</div>
+                    `).join('')}
+                    <div class="matrix-network-note">Networks restate their pairwise interactions and are not counted again in the effectiveness estimate.</div>
+                </div>
+            ` : ''}
+            ${this.formatInteractionNetwork(network)}
+            <div class="matrix-detail">Hover over a cell for the interaction details.</div>
+        `;
+    }
+
+    formatInteractionNetwork(network) {
+        if (!network || network.clusters.length === 0) return '';
+        const name = componentId => window.dataLoader.getComponent(componentId)?.name || componentId;
+
+        // Clusters of connected components, the hubs that link them and components with no interactions
+        return `
+            <div class="interaction-network">
+                ${network.clusters.map(cluster => `
+                    <div class="network-cluster">
+                        <strong>Cluster:</strong> ${cluster.names.join(', ')}
+                        <span class="network-counts">(${cluster.edgeCount} pair${cluster.edgeCount === 1 ? '' : 's'}${cluster.hyperedgeCount > 0 ? `, ${cluster.hyperedgeCount} network${cluster.hyperedgeCount === 1 ? '' : 's'}` : ''})</span>
+                    </div>
+                `).join('')}
+                ${network.hubs.length > 0 ? `
+                    <div class="network-hubs">
+                        <strong>Hub${network.hubs.length === 1 ? '' : 's'}:</strong>
+                        ${network.hubs.map(hub => `${hub.name} (${hub.degree} partners, centrality ${hub.centrality})`).join('; ')}
+                    </div>
+                ` : ''}
+                ${network.isolated.length > 0 ? `
+                    <div class="network-isolated"><strong>No interactions:</strong> ${network.isolated.map(name).join(', ')}</div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    formatDirection(direction) {
+        const name = componentId => window.dataLoader.getComponent(componentId)?.name || componentId;
+        return `${name(direction.from)} ${direction.effect} ${name(direction.to)}`;
+    }
+
+    formatMatrixDetail(pair) {
+        const synergy = this.matrixDetails[pair];
+        if (!synergy) return '';
+        const names = synergy.components.map(componentId => window.dataLoader.getComponent(componentId)?.name || componentId);
+
+        return `
+            <div class="matrix-detail-title">${names.join(' + ')}</div>
+            ${synergy.direction ? `<div class="matrix-detail-direction">${this.formatDirection(synergy.direction)}</div>` : ''}
+            <div>${synergy.mechanism}</div>
+            <div class="matrix-detail-facts">
+                <span>Type: ${synergy.type}</span>
+                <span>Significance: ${synergy.significance}</span>
+                <span>Factor: ${synergy.factor}×</span>
+                ${synergy.combinationIndex ? `<span>Reported CI: ${synergy.combinationIndex} (${synergy.interpretation})</span>` : ''}
+                ${synergy.conditions.map(condition => `<span>Applies from ${condition.minDailyDose} ${window.dataLoader.getComponent(condition.component)?.unit || ''}/day ${window.dataLoader.getComponent(condition.component)?.name || condition.component}</span>`).join('')}
+                ${synergy.separationHours ? `<span>Take ${synergy.separationHours} h apart${synergy.separated ? ' (scheduled)' : ''}</span>` : ''}
+            </div>
+            ${synergy.verification ? `<a href="${synergy.verification}" target="_blank" rel="noopener" class="tooltip-link">View Study</a>` : ''}
+        `;
+    }
+
+    updatePlasmaProfiles(plasmaProfiles) {
+        const container = document.querySelector('#plasma-profiles .plasma-profiles-list');
+        if (!container) return;
+
+        const formatHour = (hour) => `${String(Math.floor(hour)).padStart(2, '0')}:${String(Math.round((hour % 1) * 60)).padStart(2, '0')}`;
+        const formatConcentration = (value) => value >= 10 ? value.toFixed(1) : value.toPrecision(2);
+
+        const html = Object.entries(plasmaProfiles || {}).map(([componentId, profile]) => {
+            const component = window.dataLoader.getComponent(componentId);
+
+            // Half of the component's own peak describes the curve's shape, not a therapeutic level
+            return `
+                <div class="plasma-profile">
+                    <div class="plasma-profile-header">
+                        <span class="component-name">${component.name}</span>
+                        <span class="plasma-coverage" title="Peak-to-trough shape of the modeled curve; no therapeutic concentration is implied">${profile.hoursAboveThreshold}h/day above half its own peak</span>
+                    </div>
+                    ${this.renderConcentrationSparkline(profile)}
+                    <div class="plasma-profile-metrics">
+                        <span>Peak ${formatConcentration(profile.peak)} ${profile.unit} at ${formatHour(profile.peakTime)}</span>
+                        <span>Trough ${formatConcentration(profile.trough)} ${profile.unit} at ${formatHour(profile.troughTime)}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = html || '<div class="no-components">No oral components selected</div>';
+    }
+
+    renderConcentrationSparkline(profile) {
+        // Plot the final simulated day only
+        const start = (profile.days - 1) * 24;
+        const points = profile.points.filter(p => p.time >= start);
+        const width = 240;
+        const height = 40;
+        const max = profile.peak || 1;
+
+        const coordinates = points.map(p => {
+            const x = ((p.time - start) / 24) * width;
+            const y = height - (p.concentration / max) * height;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+        const thresholdY = height - (profile.threshold / max) * height;
+
+        return `
+            <svg class="plasma-sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <line x1="0" y1="${thresholdY.toFixed(1)}" x2="${width}" y2="${thresholdY.toFixed(1)}" class="plasma-threshold" />
+                <polyline points="${coordinates}" class="plasma-curve" />
+            </svg>
+        `;
+    }
+
+    updateDailySchedule(dailyTimeline) {
+        const container = document.querySelector('#daily-schedule .daily-schedule-timeline');
+        if (!container) return;
+
+        const slotLabels = {
+            morning: 'Morning (on waking)', breakfast: 'Breakfast', noon: 'Midday',
+            dinner: 'Dinner', evening: 'Evening', bedtime: 'Bedtime', topical: 'Topical application'
+        };
+
+        const html = (dailyTimeline || []).map(slot => {
+            const time = slot.slot === 'topical' ? 'Morning & evening' : `${String(slot.hour).padStart(2, '0')}:00`;
+            const items = slot.items.map(item => {
+                const pills = item.unitsPerDose !== null
+                    ? `${item.unitsPerDose} × ${item.unitLabel}`
+                    : this.formatDose(item.id, item.practicalDose);
+                return `
+                    <li class="schedule-item">
+                        <span class="component-name">${item.name}</span>
+                        <span class="schedule-pills">${pills}</span>
+                        ${item.withFood && !slot.withMeal ? '<span class="schedule-food">Take with food</span>' : ''}
+                        <div class="schedule-reason">${item.reason}</div>
+                    </li>
+                `;
+            }).join('');
+
             return `
-                <div class="synergy-item ${synergy.significance}">
-                    <span class="synergy-pair">${components}</span>
-                    <span class="synergy-factor">${synergy.factor}x</span>
-                    <span class="synergy-type">${synergy.type}</span>
+                <div class="schedule-slot">
+                    <div class="schedule-slot-header">
+                        <span class="schedule-time">${time}</span>
+                        <span class="schedule-slot-name">${slotLabels[slot.slot] || slot.slot}</span>
+                        ${slot.withMeal ? '<span class="schedule-meal">With meal</span>' : ''}
+                        <span class="schedule-count">${slot.items.length} item${slot.items.length === 1 ? '' : 's'}</span>
+                    </div>
+                    <ul class="schedule-items">${items}</ul>
                 </div>
             `;
         }).join('');
 
-        synergyContainer.innerHTML = synergyHTML || '<div class="no-synergies">No significant synergies detected</div>';
+        container.innerHTML = html || '<div class="no-components">No components selected</div>';
+    }
+
+    updateTitrationPlan(titrationPlan) {
+        const container = document.querySelector('#titration-plan .titration-table-container');
+        if (!container) return;
+
+        if (!titrationPlan || titrationPlan.components.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        // Only cited schedules titrate; everything else starts at the target dose
+        if (titrationPlan.titratedCount === 0) {
+            container.innerHTML = '<div class="no-components">No selected component has a cited titration schedule; all start at the target dose</div>';
+            return;
+        }
+
+        // Steps below the target dose or frequency are highlighted
+        const isPartial = (step, row) => Boolean(step) &&
+            (step.fraction < 1 || step.frequency !== row.steps[row.steps.length - 1].frequency);
+
+        const formatStep = (step, componentId) => {
+            if (!step) return '<span class="titration-not-started">–</span>';
+            const amount = step.unitsPerDose !== null
+                ? `${step.unitsPerDose} × ${step.unitLabel}`
+                : this.formatDose(componentId, step.dose);
+            return `${amount} ${step.frequency}`;
+        };
+
+        // Titrated components first so the escalation is visible at a glance
+        const rows = [...titrationPlan.components].sort((a, b) => Number(b.titrated) - Number(a.titrated));
+
+        const html = `
+            <table class="titration-table">
+                <thead>
+                    <tr>
+                        <th>Component</th>
+                        ${titrationPlan.weeks.map(week => `<th>Week ${week}${week === titrationPlan.totalWeeks ? '+' : ''}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.titrated ? 'titrated' : ''}">
+                            <td>
+                                <span class="component-name">${row.name}</span>
+                                ${row.reason ? `<div class="titration-reason">${row.reason}${row.citationKey ? ` <span class="citation-link" data-citation="${row.citationKey}">[ref]</span>` : ''}</div>` : ''}
+                            </td>
+                            ${row.weeks.map(step => `
+                                <td class="${isPartial(step, row) ? 'titration-partial' : ''}">
+                                    ${formatStep(step, row.id)}
+                                </td>
+                            `).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    updateProtocolTimeline() {
+        const phasesContainer = document.querySelector('#protocol-timeline .timeline-phases');
+        const monthContainer = document.querySelector('#protocol-timeline .timeline-month-view');
+        if (!phasesContainer || !monthContainer) return;
+
+        const timeline = this.lastResults?.protocolTimeline;
+        if (!timeline || timeline.phases.length === 0) {
+            phasesContainer.innerHTML = '';
+            monthContainer.innerHTML = '';
+            return;
+        }
+
+        // Keep the picked month inside the course
+        const monthInput = document.getElementById('timeline-month');
+        const requested = monthInput ? parseInt(monthInput.value, 10) || 1 : 1;
+        const view = new TimelineEngine(this.calculator.componentsData, this.calculator.stagesData).getMonthView(timeline, requested);
+        if (monthInput) {
+            monthInput.max = timeline.totalMonths;
+            monthInput.value = view.month;
+        }
+
+        const formatDate = date => date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+        const icons = { contraindicated: '⛔', caution: '⚠️', info: 'ℹ️' };
+        const monthRange = phase => phase.endMonth - phase.startMonth > 1
+            ? `Months ${phase.startMonth + 1}–${phase.endMonth}`
+            : `Month ${phase.endMonth}`;
+
+        phasesContainer.innerHTML = `
+            <div class="timeline-bar">
+                ${timeline.phases.map(phase => `
+                    <button type="button"
+                            class="timeline-phase stage-${phase.stage} ${phase === view.phase ? 'active' : ''}"
+                            style="flex-grow: ${phase.endMonth - phase.startMonth}"
+                            data-month="${phase.startMonth + 1}"
+                            title="${monthRange(phase)}: ${phase.stageName}${phase.injectable ? `, ${phase.injectable.label.toLowerCase()}` : ''}">
+                        <span class="timeline-phase-months">${monthRange(phase)}</span>
+                        <span class="timeline-phase-stage">${phase.stageName}</span>
+                        ${phase.injectable ? `<span class="timeline-phase-injectable">💉 ${phase.injectable.label}</span>` : ''}
+                        ${phase.newWarnings?.length > 0 ? `<span class="timeline-phase-warning">⚠️ ${phase.newWarnings.length} new warning${phase.newWarnings.length === 1 ? '' : 's'}</span>` : ''}
+                    </button>
+                `).join('')}
+            </div>
+            <div class="timeline-summary">
+                ${formatDate(timeline.startDate)} – ${formatDate(timeline.endDate)} (${timeline.totalMonths} months)
+                ${timeline.transitions.map(transition => `
+                    · Month ${transition.month}: ${timeline.phases.find(phase => phase.startMonth + 1 === transition.month).stageName}
+                `).join('')}
+            </div>
+        `;
+
+        monthContainer.innerHTML = `
+            <div class="timeline-month-header">
+                <strong>Month ${view.month}</strong> (${formatDate(view.startDate)} – ${formatDate(view.endDate)}) · ${view.stageName}
+                ${view.injectable ? ` · ${view.injectable.label}` : ''}
+            </div>
+            ${this.formatPhaseSafety(view.phase, icons)}
+            ${view.injectionDates.length > 0 ? `
+                <div class="timeline-injections">💉 Injections: ${view.injectionDates.map(formatDate).join(', ')}</div>
+            ` : ''}
+            <table class="timeline-table">
+                <thead>
+                    <tr>
+                        <th>Component</th>
+                        <th>Dose</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${view.components.map(item => `
+                        <tr class="${item.titrating ? 'titrating' : ''}">
+                            <td><span class="component-name">${item.name}</span></td>
+                            <td>${item.unitsPerDose !== null ? `${item.unitsPerDose} × ${item.unitLabel}` : this.formatDose(item.id, item.dose)} ${item.frequency}</td>
+                            <td class="timeline-note">
+                                ${item.added ? 'New this month' : ''}
+                                ${item.titrating ? `${item.added ? ' · ' : ''}Titrating until ${formatDate(item.targetDate)}` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${view.nextChange ? `
+                <div class="timeline-next-change">
+                    Next change in month ${view.nextChange.month} (${formatDate(view.nextChange.date)}):
+                    <ul>${view.nextChange.changes.map(change => `<li>${change}</li>`).join('')}</ul>
+                    ${view.nextChange.warnings.length > 0 ? `
+                        <div class="timeline-next-warnings">
+                            ${view.nextChange.warnings.map(warning => `<div class="warning-item severity-${warning.severity}">${icons[warning.severity] || '⚠️'} ${warning.message}</div>`).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            ` : '<div class="timeline-next-change">No further changes until the end of the course.</div>'}
+        `;
+    }
+
+    formatPhaseSafety(phase, icons) {
+        // Warnings and bleeding risk that a later phase's component set adds to the initial checks
+        if (!phase.newWarnings?.length && !phase.bleedingRiskChanged) return '';
+
+        return `
+            <div class="timeline-safety">
+                <div class="timeline-safety-title">Safety checks for this phase</div>
+                ${phase.newWarnings.map(warning => `
+                    <div class="warning-item severity-${warning.severity}">
+                        ${icons[warning.severity] || '⚠️'} <span class="warning-severity">${warning.severity}</span>
+                        ${warning.message}
+                        ${warning.citationKey ? `<span class="citation-link" data-citation="${warning.citationKey}">[ref]</span>` : ''}
+                    </div>
+                `).join('')}
+                ${phase.bleedingRiskChanged ? `
+                    <div class="timeline-bleeding-risk">Bleeding risk: ${phase.bleedingRisk.label} (score ${phase.bleedingRisk.score})</div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    updateVisitPlan(visitPlan) {
+        const container = document.querySelector('#visit-plan .visit-plan-container');
+        if (!container) return;
+
+        if (!visitPlan || visitPlan.visits.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const formatDate = date => date.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+
+        const formatItem = (visit, category, item, index) => {
+            const id = `visit-${visit.id}-${category.key}-${index}`;
+            const note = item.components.length > 0
+                ? `<span class="visit-item-note">${item.components.join(', ')}${item.reasons.length > 0 ? `: ${item.reasons.join('; ')}` : ''}</span>`
+                : '';
+            const refs = item.citationKeys.map(key => `<span class="citation-link" data-citation="${key}">[ref]</span>`).join(' ');
+            return `
+                <li class="${item.components.length > 0 ? 'safety-lab' : ''}">
+                    <input type="checkbox" id="${id}">
+                    <label for="${id}">${item.label}</label>
+                    ${note} ${refs}
+                </li>
+            `;
+        };
+
+        container.innerHTML = `
+            <div class="visit-plan-summary">
+                ${visitPlan.visits.length} visits from ${formatDate(visitPlan.startDate)} to ${formatDate(visitPlan.endDate)}
+                ${visitPlan.safetyLabCount > 0 ? ` · ${visitPlan.safetyLabCount} component safety lab checks` : ''}
+            </div>
+            <ol class="visit-plan-list">
+                ${visitPlan.visits.map(visit => `
+                    <li class="visit-plan-visit">
+                        <div class="visit-plan-date">
+                            <strong>${formatDate(visit.date)}</strong> · ${visit.timepoint}
+                        </div>
+                        ${visit.categories.map(category => `
+                            <div class="visit-plan-category">
+                                <span class="visit-plan-category-label">${category.label}</span>
+                                <ul>${category.items.map((item, index) => formatItem(visit, category, item, index)).join('')}</ul>
+                            </div>
+                        `).join('')}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
     }
 
     updateWarnings(warnings) {
@@ -427,12 +1333,62 @@ class CalculatorUI {
             return;
         }
 
+        const icons = { contraindicated: '⛔', caution: '⚠️', info: 'ℹ️' };
+
         warningsContainer.style.display = 'block';
-        const warningsHTML = warnings.map(warning => 
-            `<div class="warning-item">⚠️ ${warning}</div>`
-        ).join('');
+        const warningsHTML = warnings.map(warning => `
+            <div class="warning-item severity-${warning.severity}">
+                ${icons[warning.severity] || '⚠️'} <span class="warning-severity">${warning.severity}</span>
+                ${warning.message}
+                ${warning.citationKey ? `<span class="citation-link" data-citation="${warning.citationKey}">[ref]</span>` : ''}
+            </div>
+        `).join('');
 
-        warningsContainer.innerHTML = warningsHTML;
+        warningsContainer.innerHTML = `<h4>Warnings & Precautions</h4>${warningsHTML}`;
+    }
+
+    updateBleedingRisk(risk) {
+        const container = document.querySelector('#bleeding-risk .bleeding-risk-container');
+        if (!container) return;
+
+        if (!risk || risk.components.length === 0) {
+            container.innerHTML = '<div class="bleeding-risk-note">No selected component adds to bleeding risk.</div>';
+            return;
+        }
+
+        const factors = [
+            ...risk.components.map(component => ({
+                label: component.name + (component.citationKey ? ` <span class="citation-link" data-citation="${component.citationKey}">[ref]</span>` : ''),
+                points: component.weight
+            })),
+            ...risk.patientFactors.map(factor => ({ label: `${factor.label}: ${factor.detail}`, points: factor.points })),
+            ...risk.medications.map(medication => ({ label: medication.name, points: medication.points }))
+        ];
+        const suggestion = risk.suggestion;
+
+        container.innerHTML = `
+            <div class="bleeding-risk-summary tier-${risk.tier}">
+                <span class="bleeding-risk-tier">${risk.label}</span>
+                <span>Score <strong>${risk.score}</strong> (threshold ${risk.threshold})</span>
+            </div>
+            <table class="bleeding-risk-table">
+                <tbody>
+                    ${factors.map(factor => `
+                        <tr>
+                            <td>${factor.label}</td>
+                            <td>+${factor.points}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${suggestion ? `
+                <div class="bleeding-risk-suggestion">
+                    Consider dropping <strong>${suggestion.names.join(', ')}</strong>:
+                    score ${suggestion.scoreAfter} (${suggestion.labelAfter})${suggestion.reachesThreshold ? '' : ', still at or above the threshold'}
+                </div>
+            ` : ''}
+            ${risk.basis ? `<div class="bleeding-risk-note">${risk.basis}</div>` : ''}
+        `;
     }
 
     updateStageRecommendations(recommendations) {
@@ -491,11 +1447,78 @@ class CalculatorUI {
             bmiDisplay.textContent = `BMI: ${this.currentPatient.bmi.toFixed(1)}`;
         }
 
+        // Update Cockcroft-Gault creatinine clearance display
+        const crClDisplay = document.getElementById('crcl-display');
+        if (crClDisplay) {
+            const crCl = this.calculateCreatinineClearance();
+            const renal = this.metrics.classifyRenalFunction(crCl);
+            crClDisplay.textContent = crCl === null ? 'CrCl: –' : `CrCl: ${crCl} mL/min (${renal.label})`;
+        }
+
+        // Show Child-Pugh inputs only when liver impairment is selected
+        const childPughInputs = document.getElementById('child-pugh-inputs');
+        if (childPughInputs) {
+            childPughInputs.style.display = this.currentPatient.liver === 'child-pugh' ? '' : 'none';
+        }
+        const childPughDisplay = document.getElementById('child-pugh-display');
+        if (childPughDisplay) {
+            const childPugh = this.calculateChildPugh();
+            childPughDisplay.textContent = childPugh
+                ? `Child-Pugh: ${childPugh.score} (Class ${childPugh.class})`
+                : 'Child-Pugh: not assessed (enter all five criteria)';
+        }
+
         // Update height input if BMI was calculated
         const heightInput = document.getElementById('height');
         if (heightInput) {
             heightInput.value = this.currentPatient.height;
         }
+
+        this.updateStageSuggestion();
+    }
+
+    updateStageSuggestion() {
+        const container = document.getElementById('stage-suggestion');
+        if (!container || !this.calculator?.stagesData) return;
+
+        const stages = new StageEngine(this.calculator.stagesData);
+        const classification = stages.classifyStage(this.formatPatientProfile());
+        const stageName = id => this.calculator.stagesData.stageProtocols[id]?.name || id;
+
+        if (!classification.evidence) {
+            container.innerHTML = '<div class="stage-suggestion-empty">Enter symptom duration, pain on erection or curvature change for a stage suggestion.</div>';
+            return;
+        }
+
+        const criteria = classification.criteria.map(entry => `
+            <li class="${entry.decisive ? 'decisive' : ''}">
+                ${entry.reason}${entry.points ? ` <span class="criterion-points">+${entry.points} ${entry.phase}</span>` : ''}
+            </li>
+        `).join('');
+
+        const headline = classification.stage
+            ? `Suggested stage: <strong>${stageName(classification.stage)}</strong>
+               <span class="stage-confidence confidence-${classification.confidence}">${classification.confidence} confidence</span>`
+            : `No clear suggestion: acute and chronic findings are balanced (${classification.scores.acute} vs ${classification.scores.chronic})`;
+
+        container.innerHTML = `
+            <div class="stage-suggestion-container ${classification.mismatch ? 'mismatch' : ''}">
+                <div class="stage-suggestion-headline">${headline}</div>
+                <ul class="stage-criteria">${criteria}</ul>
+                ${classification.mismatch ? `
+                    <div class="stage-mismatch">
+                        ⚠️ Differs from the selected stage (${stageName(classification.selectedStage)}).
+                        <button type="button" class="apply-suggested-stage" data-stage="${classification.stage}">Use ${stageName(classification.stage)}</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        container.querySelector('.apply-suggested-stage')?.addEventListener('click', (event) => {
+            const select = document.getElementById('diseaseStage');
+            if (select) select.value = event.target.dataset.stage;
+            this.updatePatientProfile('diseaseStage', event.target.dataset.stage);
+        });
     }
 
     clearResults() {
@@ -507,6 +1530,11 @@ class CalculatorUI {
             }
         });
 
+        ['#plasma-profiles .plasma-profiles-list', '#daily-schedule .daily-schedule-timeline', '#titration-plan .titration-table-container', '#supply-planner .supply-table-container', '#cost-estimate .cost-table-container', '#bleeding-risk .bleeding-risk-container'].forEach(selector => {
+            const list = document.querySelector(selector);
+            if (list) list.innerHTML = '';
+        });
+
         // Reset progress bars
         const progressBars = ['tgf-progress', 'collagen-progress', 'curvature-progress', 'plaque-progress', 'pain-progress', 'success-progress'];
         progressBars.forEach(id => {
@@ -520,20 +1548,18 @@ class CalculatorUI {
 
     resetCalculator() {
         // Reset patient profile to defaults
-        this.currentPatient = {
-            weight: 75, height: 175, age: 45, bmi: 24.5,
-            creatinine: 'normal', liver: 'normal', smoking: 'never',
-            diseaseStage: 'chronic', curvature: 30, hasPlaque: 'no'
-        };
+        this.currentPatient = this.getDefaultPatient();
 
         // Reset form inputs
         Object.entries(this.currentPatient).forEach(([field, value]) => {
             const input = document.getElementById(field);
             if (input) {
-                input.value = value;
+                input.value = value ?? '';
             }
         });
 
+        this.renderMedicationList();
+
         // Clear component selection
         this.selectedComponents.clear();
         
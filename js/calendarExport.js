@@ -0,0 +1,149 @@
+// Calendar Export Engine (iCalendar, generated client-side)
+class CalendarExportEngine {
+    constructor() {
+        this.productId = '-//ipp-treatment.fyi//Treatment Calendar//EN';
+        this.domain = 'ipp-treatment.fyi';
+
+        // Topical applications spread over the day by number of applications
+        this.topicalHours = { 1: [8], 2: [8, 20], 3: [8, 14, 20], 4: [8, 12, 16, 20] };
+        this.dosesPerDay = { QD: 1, BID: 2, TID: 3, QID: 4 };
+    }
+
+    buildCalendar({ startDate, endDate, dailyTimeline = [], monitoringVisits = [], titrationPlan = null }) {
+        const stamp = this.formatTimestamp(new Date());
+        const events = [
+            ...this.buildDoseEvents(dailyTimeline, startDate, endDate, titrationPlan),
+            ...monitoringVisits.map(visit => this.buildVisitEvent(visit))
+        ].map(event => [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}@${this.domain}`,
+            `DTSTAMP:${stamp}`,
+            ...event.lines,
+            'END:VEVENT'
+        ]);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.productId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:Peyronie\'s Treatment Plan',
+            ...events.flat(),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    buildDoseEvents(dailyTimeline, startDate, endDate, titrationPlan) {
+        const titrationNote = titrationPlan && titrationPlan.titratedCount > 0
+            ? `Target doses shown. Follow the titration plan for the first ${titrationPlan.totalWeeks} weeks.`
+            : null;
+
+        return dailyTimeline.flatMap(slot => {
+            const hours = slot.slot === 'topical' ? this.getTopicalHours(slot.items) : [slot.hour];
+            const description = [
+                ...slot.items.map(item => `• ${item.name}: ${this.formatItemDose(item)}${item.withFood ? ' (with food)' : ''}`),
+                titrationNote
+            ].filter(Boolean).join('\n');
+            const summary = slot.slot === 'topical'
+                ? 'Topical application'
+                : `Take ${slot.items.length} item${slot.items.length === 1 ? '' : 's'} (${slot.slot}${slot.withMeal ? ', with meal' : ''})`;
+
+            return hours.map(hour => ({
+                uid: `dose-${slot.slot}-${hour}-${this.formatDate(startDate)}`,
+                lines: [
+                    `DTSTART:${this.formatLocalDateTime(startDate, hour)}`,
+                    'DURATION:PT15M',
+                    `RRULE:FREQ=DAILY;UNTIL=${this.formatLocalDateTime(endDate, 23, 59)}`,
+                    `SUMMARY:${this.escapeText(summary)}`,
+                    `DESCRIPTION:${this.escapeText(description)}`,
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${this.escapeText(summary)}`,
+                    'TRIGGER:PT0M',
+                    'END:VALARM'
+                ]
+            }));
+        });
+    }
+
+    buildVisitEvent(visit) {
+        const sections = [
+            ['Clinical', visit.clinical],
+            ['Laboratory', visit.laboratory],
+            ['Imaging', visit.imaging],
+            ['Biomarkers', visit.biomarkers]
+        ].filter(([, items]) => items && items.length > 0)
+            .map(([label, items]) => `${label}: ${items.join(', ')}`);
+
+        return {
+            uid: `visit-${visit.id}-${this.formatDate(visit.date)}`,
+            lines: [
+                `DTSTART;VALUE=DATE:${this.formatDate(visit.date)}`,
+                `DTEND;VALUE=DATE:${this.formatDate(new Date(visit.date.getFullYear(), visit.date.getMonth(), visit.date.getDate() + 1))}`,
+                `SUMMARY:${this.escapeText(`Monitoring visit: ${visit.timepoint}`)}`,
+                `DESCRIPTION:${this.escapeText(sections.join('\n'))}`,
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${this.escapeText(`Monitoring visit: ${visit.timepoint}`)}`,
+                'TRIGGER:-P2D',
+                'END:VALARM'
+            ]
+        };
+    }
+
+    getTopicalHours(items) {
+        const applications = Math.max(1, ...items.map(item => this.dosesPerDay[item.frequency] || 1));
+        return this.topicalHours[applications] || this.topicalHours[1];
+    }
+
+    formatItemDose(item) {
+        return item.unitsPerDose !== null && item.unitsPerDose !== undefined
+            ? `${item.unitsPerDose} × ${item.unitLabel}`
+            : `${item.practicalDose} ${item.unit}`;
+    }
+
+    formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    }
+
+    formatLocalDateTime(date, hour, minute = 0) {
+        // Floating local time so reminders follow the phone's time zone
+        const pad = value => String(value).padStart(2, '0');
+        return `${this.formatDate(date)}T${pad(hour)}${pad(minute)}00`;
+    }
+
+    formatTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\n/g, '\\n');
+    }
+
+    foldLine(line) {
+        // RFC 5545 limits content lines to 75 octets; continuation lines start with a space
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        for (const char of line) {
+            const limit = parts.length === 0 ? 75 : 74;
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+}
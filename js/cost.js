@@ -0,0 +1,105 @@
+// Therapy Cost Engine (user-maintained price catalog stored in the browser)
+class CostEngine {
+    constructor(storage = null) {
+        this.storageKey = 'ipp-price-catalog';
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.daysPerMonth = 30.44;
+        this.catalog = this.loadCatalog();
+    }
+
+    loadCatalog() {
+        const empty = { currency: '€', prices: {} };
+        if (!this.storage) return empty;
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.storageKey));
+            return stored && typeof stored.prices === 'object' ? { ...empty, ...stored } : empty;
+        } catch (error) {
+            console.warn('Ignoring unreadable price catalog:', error);
+            return empty;
+        }
+    }
+
+    saveCatalog() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.catalog));
+        } catch (error) {
+            // Storage can be full or disabled (private browsing); prices then last for the session
+            console.warn('Could not save price catalog:', error);
+        }
+    }
+
+    getProductKey(product) {
+        return `${product.strength}x${product.packageSize}`;
+    }
+
+    getPrice(componentId, product) {
+        if (!product) return null;
+        const price = this.catalog.prices[componentId]?.[this.getProductKey(product)];
+        return typeof price === 'number' ? price : null;
+    }
+
+    setPrice(componentId, product, price) {
+        const key = this.getProductKey(product);
+        const prices = { ...(this.catalog.prices[componentId] || {}) };
+
+        // Empty or invalid input removes the entry
+        if (typeof price === 'number' && isFinite(price) && price >= 0) {
+            prices[key] = price;
+        } else {
+            delete prices[key];
+        }
+
+        this.catalog.prices[componentId] = prices;
+        this.saveCatalog();
+    }
+
+    setCurrency(currency) {
+        this.catalog.currency = currency || '€';
+        this.saveCatalog();
+    }
+
+    estimateCosts(protocolPlan, contributions = {}) {
+        const items = protocolPlan.items.map(item => {
+            const price = this.getPrice(item.id, item.product);
+            const unitsPerDay = item.product ? item.dailyDose / item.product.strength : 0;
+            const monthlyCost = price !== null ? price / item.product.packageSize * unitsPerDay * this.daysPerMonth : null;
+            const contribution = contributions[item.id]?.points ?? null;
+
+            return {
+                id: item.id,
+                name: item.name,
+                product: item.product,
+                price,
+                monthlyCost: monthlyCost !== null ? Math.round(monthlyCost * 100) / 100 : null,
+                protocolCost: price !== null ? Math.round(price * item.packages * 100) / 100 : null,
+                contribution,
+                costPerPoint: monthlyCost !== null && contribution > 0
+                    ? Math.round(monthlyCost / contribution * 100) / 100
+                    : null
+            };
+        });
+
+        const priced = items.filter(item => item.price !== null);
+        const monthlyTotal = priced.reduce((sum, item) => sum + item.monthlyCost, 0);
+        const protocolTotal = priced.reduce((sum, item) => sum + item.protocolCost, 0);
+
+        // Share of the monthly spend, most expensive first
+        items.forEach(item => {
+            item.share = item.monthlyCost !== null && monthlyTotal > 0
+                ? Math.round(item.monthlyCost / monthlyTotal * 1000) / 10
+                : null;
+        });
+        items.sort((a, b) => (b.monthlyCost ?? -1) - (a.monthlyCost ?? -1));
+
+        return {
+            currency: this.catalog.currency,
+            protocolDays: protocolPlan.days,
+            monthlyTotal: Math.round(monthlyTotal * 100) / 100,
+            protocolTotal: Math.round(protocolTotal * 100) / 100,
+            unpricedCount: items.length - priced.length,
+            items
+        };
+    }
+}
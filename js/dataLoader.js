@@ -5,6 +5,8 @@ class DataLoader {
             components: null,
             interactions: null,
             stages: null,
+            rules: null,
+            medications: null,
             lastLoaded: null
         };
         this.validator = new ValidationEngine();
@@ -14,22 +16,28 @@ class DataLoader {
         try {
             console.log('Loading medical data...');
             
-            const [componentsResponse, interactionsResponse, stagesResponse] = await Promise.all([
+            const [componentsResponse, interactionsResponse, stagesResponse, rulesResponse, medicationsResponse] = await Promise.all([
                 this.fetchWithRetry('./data/components.json'),
                 this.fetchWithRetry('./data/interactions.json'),
-                this.fetchWithRetry('./data/stages.json')
+                this.fetchWithRetry('./data/stages.json'),
+                this.fetchWithRetry('./data/rules.json'),
+                this.fetchWithRetry('./data/medications.json')
             ]);
 
             this.cache.components = await componentsResponse.json();
             this.cache.interactions = await interactionsResponse.json();
             this.cache.stages = await stagesResponse.json();
+            this.cache.rules = await rulesResponse.json();
+            this.cache.medications = await medicationsResponse.json();
             this.cache.lastLoaded = new Date();
 
             // Validate loaded data
             const validation = await this.validator.validateAllData(
                 this.cache.components,
                 this.cache.interactions,
-                this.cache.stages
+                this.cache.stages,
+                this.cache.rules,
+                this.cache.medications
             );
 
             if (!validation.valid) {
@@ -91,6 +99,20 @@ class DataLoader {
         return this.cache.stages;
     }
 
+    getRulesData() {
+        if (!this.cache.rules) {
+            throw new Error('Rules data not loaded. Call loadAllData() first.');
+        }
+        return this.cache.rules;
+    }
+
+    getMedicationsData() {
+        if (!this.cache.medications) {
+            throw new Error('Medications data not loaded. Call loadAllData() first.');
+        }
+        return this.cache.medications;
+    }
+
     getComponent(componentId) {
         const data = this.getComponentsData();
         return data.components[componentId];
@@ -135,6 +157,8 @@ class DataLoader {
             components: null,
             interactions: null,
             stages: null,
+            rules: null,
+            medications: null,
             lastLoaded: null
         };
         console.log('Data cache cleared');
@@ -151,6 +175,9 @@ class DataLoader {
             Object.keys(this.cache.interactions.drugInteractions).length : 0;
         const stagesCount = this.cache.stages ? 
             Object.keys(this.cache.stages.stageProtocols).length : 0;
+        const rulesCount = this.cache.rules ? this.cache.rules.rules.length : 0;
+        const medicationsCount = this.cache.medications ?
+            Object.keys(this.cache.medications.medications).length : 0;
 
         return {
             loaded: true,
@@ -158,7 +185,9 @@ class DataLoader {
             summary: {
                 components: componentsCount,
                 interactions: interactionsCount,
-                stages: stagesCount
+                stages: stagesCount,
+                rules: rulesCount,
+                medications: medicationsCount
             }
         };
     }
@@ -169,6 +198,8 @@ class DataLoader {
             components: this.cache.components,
             interactions: this.cache.interactions,
             stages: this.cache.stages,
+            rules: this.cache.rules,
+            medications: this.cache.medications,
             timestamp: this.cache.lastLoaded
         };
     }
@@ -179,13 +210,17 @@ class DataLoader {
         this.cache.components = testData.components;
         this.cache.interactions = testData.interactions;
         this.cache.stages = testData.stages;
+        this.cache.rules = testData.rules || { rules: [], citations: {} };
+        this.cache.medications = testData.medications || { classes: {}, medications: {}, interactions: [], citations: {} };
         this.cache.lastLoaded = new Date();
 
         // Validate test data
         const validation = await this.validator.validateAllData(
             this.cache.components,
             this.cache.interactions,
-            this.cache.stages
+            this.cache.stages,
+            this.cache.rules,
+            this.cache.medications
         );
 
         if (!validation.valid) {
@@ -281,9 +316,8 @@ class DataLoader {
         };
 
         // Check for interactions referencing unknown components
-        Object.keys(interactionsData.drugInteractions).forEach(interactionId => {
-            const parts = interactionId.split('_');
-            parts.forEach(componentId => {
+        Object.entries(interactionsData.drugInteractions).forEach(([interactionId, interaction]) => {
+            (interaction.components || []).forEach(componentId => {
                 if (!componentsData.components[componentId]) {
                     report.crossReferences.orphanedInteractions.push({
                         interaction: interactionId,
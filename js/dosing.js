@@ -3,6 +3,19 @@ class DosingEngine {
     constructor(componentsData) {
         this.componentsData = componentsData;
         this.referencePatient = componentsData.referencePatient;
+        this.metrics = new PatientMetricsEngine();
+
+        // Clock hour assigned to each schedule slot for time-course simulation
+        this.slotHours = {
+            morning: 7, breakfast: 8, noon: 12,
+            dinner: 19, evening: 20, bedtime: 22, topical: 8
+        };
+
+        // Slots that coincide with a meal
+        this.mealSlots = new Set(['breakfast', 'dinner']);
+
+        // Formulary rounding may go at most this far above the computed dose
+        this.roundUpTolerance = 0.1;
     }
 
     calculateComponentDose(componentId, patientProfile) {
@@ -11,42 +24,94 @@ class DosingEngine {
             throw new Error(`Component ${componentId} not found`);
         }
 
-        // Base dose calculation (weight-based)
-        const baseDose = component.dosePerKg * patientProfile.weight;
+        // Base dose calculation on the component's weight basis
+        const { baseDose, weightBasis, dosingWeight, formula } = this.calculateBaseDose(component, patientProfile);
+
+        // Ordered record of every step so the final dose can be explained
+        const round = value => Math.round(value * 100) / 100;
+        const trace = [{
+            step: 'base',
+            label: 'Base weight dose',
+            detail: formula,
+            value: round(baseDose),
+            unit: component.unit
+        }];
 
         // Apply patient-specific adjustments
         let adjustmentFactor = 1.0;
         const adjustments = component.adjustments;
+        const applyAdjustment = (label, factor, trigger, citationKey = null) => {
+            if (factor === 1) return;
+            adjustmentFactor *= factor;
+            trace.push({
+                step: 'adjustment',
+                label,
+                factor,
+                trigger,
+                citationKey,
+                value: round(baseDose * adjustmentFactor),
+                unit: component.unit
+            });
+        };
 
         // Age adjustment
         if (patientProfile.age >= 65 && adjustments.age65) {
-            adjustmentFactor *= adjustments.age65;
+            applyAdjustment('Age 65 or older', adjustments.age65, `Age ${patientProfile.age} years`);
         }
 
         // BMI adjustment
         if (patientProfile.bmi >= 30 && adjustments.bmi30) {
-            adjustmentFactor *= adjustments.bmi30;
+            applyAdjustment('BMI 30 or higher', adjustments.bmi30, `BMI ${Math.round(patientProfile.bmi * 10) / 10}`);
         }
 
         // Smoking adjustment (patientProfile.smoking is boolean)
         if (patientProfile.smoking === true && adjustments.smoking) {
-            adjustmentFactor *= adjustments.smoking;
+            applyAdjustment('Smoking', adjustments.smoking, 'Current smoker');
         }
 
-        // Creatinine clearance adjustment per model (CrCl 30-50 window)
-        if (typeof patientProfile.creatinineClearance === 'number' && patientProfile.creatinineClearance <= 50 && adjustments.crCl30) {
-            adjustmentFactor *= adjustments.crCl30;
+        // Graded renal adjustment by creatinine clearance band
+        const renalFactor = this.getRenalAdjustment(adjustments.renal, patientProfile.creatinineClearance);
+        if (renalFactor) {
+            const renalFunction = this.metrics.classifyRenalFunction(patientProfile.creatinineClearance);
+            applyAdjustment(`Renal function (${renalFunction.label.toLowerCase()})`, renalFactor,
+                `CrCl ${patientProfile.creatinineClearance} mL/min`, component.sources?.renal);
         }
 
-        // Liver function adjustment (Child-Pugh B per model)
-        if (patientProfile.liverFunction === 'childB' && adjustments.childB) {
-            adjustmentFactor *= adjustments.childB;
+        // Liver function adjustment by Child-Pugh class (childA/childB/childC)
+        if (['childA', 'childB', 'childC'].includes(patientProfile.liverFunction) && adjustments[patientProfile.liverFunction]) {
+            const childClass = patientProfile.liverFunction.slice(-1);
+            applyAdjustment(`Liver function (Child-Pugh ${childClass})`, adjustments[patientProfile.liverFunction],
+                patientProfile.childPugh ? `Child-Pugh score ${patientProfile.childPugh.score}` : `Child-Pugh class ${childClass}`,
+                component.sources?.hepatic);
         }
 
-        const adjustedDose = baseDose * adjustmentFactor;
+        // Enforce the data-defined maximum daily dose (1% tolerance for dosePerKg rounding)
+        const dosesPerDay = this.getDosesPerDay(component.frequency);
+        const computedDose = baseDose * adjustmentFactor;
+        const clamped = typeof component.maxDailyDose === 'number' &&
+            computedDose * dosesPerDay > component.maxDailyDose * 1.01;
+        const adjustedDose = clamped ? component.maxDailyDose / dosesPerDay : computedDose;
+        if (clamped) {
+            trace.push({
+                step: 'clamp',
+                label: 'Maximum daily dose',
+                detail: `${round(computedDose * dosesPerDay)} ${component.unit}/day capped at ${component.maxDailyDose} ${component.unit}/day`,
+                citationKey: component.sources?.maxDailyDose || null,
+                value: round(adjustedDose),
+                unit: component.unit
+            });
+        }
 
         // Calculate bioavailability-adjusted effective dose
         const effectiveDose = adjustedDose * (component.pharmacokinetics.f / 100);
+        trace.push({
+            step: 'bioavailability',
+            label: 'Bioavailability',
+            factor: component.pharmacokinetics.f / 100,
+            detail: `F = ${component.pharmacokinetics.f}%`,
+            value: round(effectiveDose),
+            unit: component.unit
+        });
 
         // Calculate tissue distribution
         const tissueDose = this.calculateTissueDistribution(
@@ -54,9 +119,58 @@ class DosingEngine {
             component.pharmacokinetics,
             patientProfile
         );
+        trace.push({
+            step: 'tissue',
+            label: 'Tissue distribution',
+            detail: `Vd ${component.pharmacokinetics.vd} L/kg × ${patientProfile.weight} kg, Kp ${component.pharmacokinetics.kp}`,
+            value: round(tissueDose),
+            unit: `${component.unit}/L`
+        });
+
+        // Accumulation under repeated dosing at the component's frequency
+        const steadyState = this.calculateSteadyState(
+            adjustedDose,
+            component.frequency,
+            component.pharmacokinetics,
+            patientProfile
+        );
+
+        // Round to a practical number of capsules/tablets from the formulary
+        const practicalDose = this.roundToFormulary(componentId, adjustedDose, component.frequency);
+        const noSuitableProduct = !practicalDose && Boolean(component.formulary?.products?.length);
+        if (practicalDose) {
+            trace.push({
+                step: 'rounding',
+                label: 'Formulary rounding',
+                detail: `${practicalDose.unitsPerDose} × ${practicalDose.unitLabel}` +
+                    (practicalDose.constrainedBySafeRange ? ' (kept within safe range)' : ''),
+                value: practicalDose.dose,
+                unit: component.unit
+            });
+        } else if (noSuitableProduct) {
+            // Rounding up to the smallest product would undo the dose reductions above
+            trace.push({
+                step: 'rounding',
+                label: 'Formulary rounding',
+                detail: 'No suitable product strength; computed dose kept',
+                value: round(adjustedDose),
+                unit: component.unit
+            });
+        }
+
+        // The range is checked on the adjusted dose; rounding is reported separately
+        const rangeStatus = this.evaluateDoseRange(
+            componentId,
+            computedDose * dosesPerDay,
+            adjustedDose * dosesPerDay,
+            clamped,
+            practicalDose ? practicalDose.dailyDose : null
+        );
 
         return {
             baseDose: Math.round(baseDose),
+            weightBasis,
+            dosingWeight: dosingWeight === null ? null : Math.round(dosingWeight * 10) / 10,
             adjustmentFactor: Math.round(adjustmentFactor * 100) / 100,
             adjustedDose: Math.round(adjustedDose),
             effectiveDose: Math.round(effectiveDose * 100) / 100,
@@ -64,7 +178,121 @@ class DosingEngine {
             frequency: component.frequency,
             timing: component.timing,
             unit: component.unit,
-            route: component.route
+            route: component.route,
+            steadyState,
+            practicalDose,
+            noSuitableProduct,
+            rangeStatus,
+            trace
+        };
+    }
+
+    getRenalAdjustment(renalAdjustments, creatinineClearance) {
+        const renalFunction = this.metrics.classifyRenalFunction(creatinineClearance);
+        if (!renalAdjustments || !renalFunction || renalFunction.band === '>60') {
+            return null;
+        }
+
+        // Bands ordered from mildest to most severe; a missing band inherits the milder one
+        const bands = ['30-60', '15-30', '<15'];
+        for (let i = bands.indexOf(renalFunction.band); i >= 0; i--) {
+            if (typeof renalAdjustments[bands[i]] === 'number') {
+                return renalAdjustments[bands[i]];
+            }
+        }
+        return null;
+    }
+
+    calculateSteadyState(dose, frequency, pharmacokinetics, patientProfile) {
+        const tau = 24 / this.getDosesPerDay(frequency);
+        const ke = Math.LN2 / pharmacokinetics.halfLife;
+        const accumulationFactor = 1 / (1 - Math.exp(-ke * tau));
+
+        // Steady state is reached within ~5 half-lives (97%); 3.3 half-lives gives 90%
+        const timeToSteadyState = 5 * pharmacokinetics.halfLife;
+        const timeTo90Percent = 3.3 * pharmacokinetics.halfLife;
+
+        const result = {
+            dosingInterval: tau,
+            accumulationFactor: Math.round(accumulationFactor * 100) / 100,
+            timeToSteadyStateHours: Math.round(timeToSteadyState * 10) / 10,
+            timeToSteadyStateDays: Math.ceil(timeToSteadyState / 24),
+            timeTo90PercentDays: Math.ceil(timeTo90Percent / 24),
+            cssMax: null,
+            cssMin: null,
+            cssAverage: null
+        };
+
+        // Css values need an oral absorption rate (not defined for topical formulations)
+        const ka = pharmacokinetics.ka;
+        if (typeof ka !== 'number') return result;
+
+        const volume = pharmacokinetics.vd * patientProfile.weight;
+        const absorbedDose = dose * (pharmacokinetics.f / 100);
+        const cssAt = (t) => {
+            if (Math.abs(ka - ke) < 1e-6) {
+                // Equal rate constants: fall back to the superposed single-dose curve
+                let sum = 0;
+                for (let n = 0; n < 50; n++) {
+                    sum += this.singleDoseConcentration(absorbedDose, volume, ka, ke, t + n * tau);
+                }
+                return sum;
+            }
+            return (absorbedDose * ka / (volume * (ka - ke))) *
+                (Math.exp(-ke * t) / (1 - Math.exp(-ke * tau)) - Math.exp(-ka * t) / (1 - Math.exp(-ka * tau)));
+        };
+
+        const tmaxSS = Math.abs(ka - ke) < 1e-6
+            ? pharmacokinetics.tmax
+            : Math.log((ka * (1 - Math.exp(-ke * tau))) / (ke * (1 - Math.exp(-ka * tau)))) / (ka - ke);
+
+        result.cssMax = Math.round(cssAt(Math.min(Math.max(tmaxSS, 0), tau)) * 1000) / 1000;
+        result.cssMin = Math.round(cssAt(tau) * 1000) / 1000;
+        // Css,avg = F·D / (CL·τ), with CL = ke·V
+        result.cssAverage = Math.round((absorbedDose / (ke * volume * tau)) * 1000) / 1000;
+
+        return result;
+    }
+
+    calculateBaseDose(component, patientProfile) {
+        const weightBasis = component.weightBasis || 'total';
+        const referenceWeight = this.referencePatient?.weight || patientProfile.weight;
+        const perKg = `${component.dosePerKg} ${component.unit}/kg`;
+
+        // Fixed doses are the reference patient's dose regardless of body size
+        if (weightBasis === 'fixed') {
+            return {
+                baseDose: component.dosePerKg * referenceWeight,
+                weightBasis,
+                dosingWeight: null,
+                formula: `${perKg} × ${referenceWeight} kg reference patient (fixed dose)`
+            };
+        }
+
+        const dosingWeight = this.metrics.calculateDosingWeight(weightBasis, patientProfile.weight, patientProfile.height);
+        const roundedWeight = Math.round(dosingWeight * 10) / 10;
+        if (weightBasis === 'total' || !this.referencePatient) {
+            return {
+                baseDose: component.dosePerKg * dosingWeight,
+                weightBasis,
+                dosingWeight,
+                formula: `${perKg} × ${roundedWeight} kg ${weightBasis} body weight`
+            };
+        }
+
+        // dosePerKg is calibrated on the reference patient's total weight, so scale
+        // by the patient's basis weight relative to the reference patient's
+        const referenceBasisWeight = this.metrics.calculateDosingWeight(
+            weightBasis,
+            this.referencePatient.weight,
+            this.referencePatient.height
+        );
+        const baseDose = component.dosePerKg * referenceWeight * (dosingWeight / referenceBasisWeight);
+        return {
+            baseDose,
+            weightBasis,
+            dosingWeight,
+            formula: `${perKg} × ${referenceWeight} kg × (${roundedWeight} / ${Math.round(referenceBasisWeight * 10) / 10} kg ${weightBasis} body weight)`
         };
     }
 
@@ -79,9 +307,144 @@ class DosingEngine {
         return tissueConcentration;
     }
 
+    simulateSchedule(schedule, componentDoses, patientProfile, options = {}) {
+        const profiles = {};
+
+        Object.entries(componentDoses).forEach(([componentId, doseInfo]) => {
+            // Topical formulations have no oral absorption phase to simulate
+            if (doseInfo.route !== 'oral') return;
+
+            const doseTimes = this.getDoseTimes(componentId, schedule, doseInfo.frequency);
+            profiles[componentId] = this.simulateConcentrationProfile(
+                componentId,
+                patientProfile,
+                doseInfo.adjustedDose,
+                doseTimes,
+                options
+            );
+        });
+
+        return profiles;
+    }
+
+    getDoseTimes(componentId, schedule, frequency) {
+        const dosesPerDay = this.getDosesPerDay(frequency);
+        const scheduledHours = Object.entries(schedule)
+            .filter(([, items]) => items.some(item => item.id === componentId))
+            .map(([slot]) => this.slotHours[slot])
+            .filter(hour => hour !== undefined)
+            .sort((a, b) => a - b);
+
+        if (scheduledHours.length === dosesPerDay) return scheduledHours;
+
+        // Slots do not match the frequency: space doses evenly from the first slot
+        const firstHour = scheduledHours.length > 0 ? scheduledHours[0] : this.slotHours.breakfast;
+        const interval = 24 / dosesPerDay;
+        return Array.from({ length: dosesPerDay }, (_, i) => (firstHour + i * interval) % 24)
+            .sort((a, b) => a - b);
+    }
+
+    simulateConcentrationProfile(componentId, patientProfile, dose, doseTimes, options = {}) {
+        const component = this.componentsData.components[componentId];
+        if (!component) {
+            throw new Error(`Component ${componentId} not found`);
+        }
+
+        const pk = component.pharmacokinetics;
+        if (typeof pk.ka !== 'number') {
+            throw new Error(`Component ${componentId} has no absorption rate constant`);
+        }
+
+        const days = options.days || 1;
+        const stepHours = options.stepHours || 0.25;
+        const ke = Math.LN2 / pk.halfLife;
+        const volume = pk.vd * patientProfile.weight;
+        const absorbedDose = dose * (pk.f / 100);
+
+        // Every administration over the simulated period, in hours from day-one midnight
+        const administrations = [];
+        for (let day = 0; day < days; day++) {
+            doseTimes.forEach(hour => administrations.push(day * 24 + hour));
+        }
+
+        const points = [];
+        const totalHours = days * 24;
+        for (let t = 0; t <= totalHours + 1e-9; t += stepHours) {
+            // Superposition of single-dose Bateman curves
+            const concentration = administrations.reduce((sum, doseTime) => {
+                return t >= doseTime
+                    ? sum + this.singleDoseConcentration(absorbedDose, volume, pk.ka, ke, t - doseTime)
+                    : sum;
+            }, 0);
+            points.push({ time: Math.round(t * 100) / 100, concentration });
+        }
+
+        // Report on the final simulated day, the one closest to steady state
+        const finalDay = points.filter(p => p.time >= totalHours - 24);
+        const peakPoint = finalDay.reduce((max, p) => p.concentration > max.concentration ? p : max, finalDay[0]);
+        const troughPoint = finalDay.reduce((min, p) => p.concentration < min.concentration ? p : min, finalDay[0]);
+        // Without a given concentration, half the own peak only measures how flat the curve is
+        const threshold = options.threshold !== undefined
+            ? options.threshold
+            : peakPoint.concentration * (options.thresholdFraction || 0.5);
+
+        return {
+            unit: `${component.unit}/L`,
+            doseTimes,
+            days,
+            stepHours,
+            points,
+            peak: peakPoint.concentration,
+            peakTime: peakPoint.time % 24,
+            trough: troughPoint.concentration,
+            troughTime: troughPoint.time % 24,
+            threshold,
+            hoursAboveThreshold: this.timeAboveThreshold(finalDay, threshold, stepHours),
+            daily: this.summarizeDays(points, days, threshold, stepHours)
+        };
+    }
+
+    singleDoseConcentration(absorbedDose, volume, ka, ke, elapsed) {
+        // One-compartment model with first-order absorption and elimination
+        if (Math.abs(ka - ke) < 1e-6) {
+            return (absorbedDose * ka / volume) * elapsed * Math.exp(-ke * elapsed);
+        }
+        return (absorbedDose * ka / (volume * (ka - ke))) *
+            (Math.exp(-ke * elapsed) - Math.exp(-ka * elapsed));
+    }
+
+    timeAboveThreshold(points, threshold, stepHours) {
+        // Skip the closing sample so a 24h window counts 24h, not 24h + one step
+        const samples = points.slice(0, -1);
+        return samples.filter(p => p.concentration >= threshold).length * stepHours;
+    }
+
+    summarizeDays(points, days, threshold, stepHours) {
+        const summaries = [];
+        for (let day = 0; day < days; day++) {
+            const dayPoints = points.filter(p => p.time >= day * 24 && p.time <= (day + 1) * 24);
+            const concentrations = dayPoints.map(p => p.concentration);
+            summaries.push({
+                day: day + 1,
+                peak: Math.max(...concentrations),
+                trough: Math.min(...concentrations),
+                hoursAboveThreshold: this.timeAboveThreshold(dayPoints, threshold, stepHours)
+            });
+        }
+        return summaries;
+    }
+
     getDailyDose(componentId, patientProfile) {
-        const doseInfo = this.calculateComponentDose(componentId, patientProfile);
-        
+        return this.getDailyDoseFromInfo(this.calculateComponentDose(componentId, patientProfile));
+    }
+
+    getDailyDoseFromInfo(doseInfo) {
+        // What is actually taken: the formulary-rounded dose where one exists
+        if (doseInfo.practicalDose) return doseInfo.practicalDose.dailyDose;
+        return doseInfo.adjustedDose * this.getDosesPerDay(doseInfo.frequency);
+    }
+
+    getDosesPerDay(frequency) {
         // Convert frequency to daily multiplier
         const frequencyMultipliers = {
             'QD': 1,     // Once daily
@@ -90,51 +453,190 @@ class DosingEngine {
             'QID': 4     // Four times daily
         };
 
-        const dailyMultiplier = frequencyMultipliers[doseInfo.frequency] || 1;
-        return doseInfo.adjustedDose * dailyMultiplier;
+        return frequencyMultipliers[frequency] || 1;
+    }
+
+    getIngredientAmounts(componentId, dose) {
+        const component = this.componentsData.components[componentId];
+        if (!component) return [];
+
+        // Components without an ingredient list are a single ingredient in their own unit
+        const ingredients = component.ingredients || [{ name: component.name, unit: component.unit, amount: 1, per: 1 }];
+
+        return ingredients.map(ingredient => {
+            const precision = Math.pow(10, ingredient.decimals || 0);
+            return {
+                name: ingredient.name,
+                unit: ingredient.unit,
+                amount: Math.round(dose * ingredient.amount / ingredient.per * precision) / precision
+            };
+        });
+    }
+
+    getSafeRange(componentId) {
+        const component = this.componentsData.components[componentId];
+        if (!component) return null;
+
+        // Daily therapeutic range from component data
+        return component.safeRange || null;
+    }
+
+    evaluateDoseRange(componentId, computedDailyDose, finalDailyDose, clamped, roundedDailyDose = null) {
+        const component = this.componentsData.components[componentId];
+        const range = this.getSafeRange(componentId);
+        const unit = component.unit;
+        // Same 1% tolerance for dosePerKg rounding as the maximum daily dose clamp
+        const tolerance = 0.01;
+        const result = {
+            status: 'within',
+            reason: null,
+            safeRange: range,
+            maxDailyDose: component.maxDailyDose ?? null,
+            computedDailyDose: Math.round(computedDailyDose * 100) / 100,
+            dailyDose: Math.round(finalDailyDose * 100) / 100
+        };
+
+        if (clamped) {
+            result.status = 'clamped';
+            result.reason = `Computed ${Math.round(computedDailyDose)} ${unit}/day exceeds the maximum daily dose; limited to ${component.maxDailyDose} ${unit}/day`;
+        } else if (!range) {
+            result.status = 'no-range';
+            result.reason = 'No established dose range';
+        } else if (finalDailyDose < range.min * (1 - tolerance)) {
+            result.status = 'below-minimum';
+            result.reason = `${result.dailyDose} ${unit}/day is below the therapeutic minimum of ${range.min} ${unit}/day`;
+        } else if (finalDailyDose > range.max * (1 + tolerance)) {
+            result.status = 'above-range';
+            result.reason = `${result.dailyDose} ${unit}/day is above the documented range (${range.min}-${range.max} ${unit}/day)`;
+        } else {
+            result.reason = `Within documented range (${range.min}-${range.max} ${unit}/day)`;
+        }
+
+        // The cap or range the status was judged against, with its source
+        result.citationKey = (clamped ? component.sources?.maxDailyDose : range && component.sources?.safeRange) || null;
+        result.rounding = roundedDailyDose === null ? null : this.describeRounding(finalDailyDose, roundedDailyDose, range, unit);
+        return result;
+    }
+
+    describeRounding(dailyDose, roundedDailyDose, range, unit) {
+        // How far formulary rounding moves the daily dose, and whether that leaves the range
+        const difference = roundedDailyDose - dailyDose;
+        const outside = range && (roundedDailyDose < range.min || roundedDailyDose > range.max) &&
+            dailyDose >= range.min && dailyDose <= range.max;
+
+        return {
+            dailyDose: Math.round(roundedDailyDose * 100) / 100,
+            difference: Math.round(difference * 100) / 100,
+            percent: dailyDose > 0 ? Math.round((difference / dailyDose) * 1000) / 10 : 0,
+            leavesRange: Boolean(outside),
+            reason: outside
+                ? `Rounding to ${Math.round(roundedDailyDose * 100) / 100} ${unit}/day leaves the documented range (${range.min}-${range.max} ${unit}/day)`
+                : null
+        };
     }
 
     validateDoseRange(componentId, calculatedDose) {
         const component = this.componentsData.components[componentId];
         if (!component) return { valid: false, error: 'Component not found' };
 
-        // Prefer data-defined safe range when available
-        const range = component.safeRange || null;
-        const defaultRanges = {
-            'l-carnitine': { min: 500, max: 3000 },
-            'coq10': { min: 100, max: 200 },
-            'propolis': { min: 600, max: 700 },
-            'ginkgo': { min: 240, max: 320 },
-            'bilberry': { min: 160, max: 320 },
-            'silymarin': { min: 400, max: 400 },
-            'vitamin-e': { min: 600, max: 800 },
-            'vitamin-c': { min: 750, max: 1500 },
-            'sod': { min: 140, max: 140 },
-            'boswellia': { min: 200, max: 300 },
-            'pentoxifylline': { min: 400, max: 800 },
-            'diclofenac': { min: 3000, max: 3000 }
-        };
-        const effectiveRange = range || defaultRanges[componentId];
+        const effectiveRange = this.getSafeRange(componentId);
         if (!effectiveRange) return { valid: true, warning: 'No established range' };
 
         if (calculatedDose < effectiveRange.min) {
             return { 
                 valid: false, 
-                error: `Dose ${calculatedDose}mg below minimum safe range (${effectiveRange.min}mg)` 
+                error: `Dose ${calculatedDose}${component.unit} below minimum safe range (${effectiveRange.min}${component.unit})` 
             };
         }
 
         if (calculatedDose > effectiveRange.max) {
             return { 
                 valid: false, 
-                error: `Dose ${calculatedDose}mg exceeds maximum safe range (${effectiveRange.max}mg)` 
+                error: `Dose ${calculatedDose}${component.unit} exceeds maximum safe range (${effectiveRange.max}${component.unit})` 
             };
         }
 
         return { valid: true };
     }
 
-    generateDosingSchedule(componentDoses, patientProfile) {
+    roundToFormulary(componentId, dose, frequency) {
+        const component = this.componentsData.components[componentId];
+        const formulary = component?.formulary;
+        if (!formulary || !Array.isArray(formulary.products) || formulary.products.length === 0) {
+            return null;
+        }
+
+        const dosesPerDay = this.getDosesPerDay(frequency);
+        const divisible = formulary.divisible || 1;
+        const range = this.getSafeRange(componentId);
+
+        // Distance of a daily amount outside the safe range (0 when inside)
+        const outsideRange = (dailyDose) => {
+            if (!range) return 0;
+            return Math.max(0, range.min - dailyDose, dailyDose - range.max);
+        };
+
+        // Nearest unit counts (in the smallest allowed fraction) for each strength,
+        // never more than the rounding tolerance above the computed dose
+        let candidates = [];
+        const strengths = [...new Set(formulary.products.map(p => p.strength))];
+        strengths.forEach(strength => {
+            const exactSteps = (dose / strength) * divisible;
+            new Set([Math.floor(exactSteps), Math.ceil(exactSteps)]).forEach(steps => {
+                if (steps <= 0) return;
+                const units = steps / divisible;
+                if (units * strength > dose * (1 + this.roundUpTolerance) + 1e-9) return;
+                candidates.push({ strength, units, dose: units * strength });
+            });
+        });
+
+        // Reduced doses below the smallest unit have no suitable product
+        if (candidates.length === 0) return null;
+
+        // Never round above the maximum daily dose
+        if (typeof component.maxDailyDose === 'number') {
+            const belowCeiling = candidates.filter(c => c.dose * dosesPerDay <= component.maxDailyDose + 1e-9);
+            if (belowCeiling.length > 0) candidates = belowCeiling;
+        }
+
+        // A dose inside the safe range may not be rounded out of it
+        let allowed = candidates;
+        if (outsideRange(dose * dosesPerDay) === 0) {
+            allowed = candidates.filter(c => outsideRange(c.dose * dosesPerDay) === 0);
+            if (allowed.length === 0) {
+                // No strength lands inside the range: stay as close to it as possible
+                const closest = Math.min(...candidates.map(c => outsideRange(c.dose * dosesPerDay)));
+                allowed = candidates.filter(c => outsideRange(c.dose * dosesPerDay) === closest);
+            }
+        }
+        const nearest = Math.min(...candidates.map(c => Math.abs(c.dose - dose)));
+
+        // Smallest rounding error first, then whole units, then fewest units, then the larger strength
+        allowed.sort((a, b) =>
+            Math.abs(a.dose - dose) - Math.abs(b.dose - dose) ||
+            Number(a.units % 1 !== 0) - Number(b.units % 1 !== 0) ||
+            a.units - b.units ||
+            b.strength - a.strength
+        );
+        const best = allowed[0];
+        const roundingError = best.dose - dose;
+        const constrainedBySafeRange = Math.abs(best.dose - dose) > nearest;
+
+        return {
+            form: formulary.form,
+            strength: best.strength,
+            unitsPerDose: best.units,
+            unitLabel: formulary.unitLabel || `${best.strength} ${component.unit} ${formulary.form}`,
+            dose: best.dose,
+            dailyDose: best.dose * dosesPerDay,
+            roundingError: Math.round(roundingError * 100) / 100,
+            roundingErrorPercent: dose > 0 ? Math.round((roundingError / dose) * 1000) / 10 : 0,
+            withinSafeRange: range ? outsideRange(best.dose * dosesPerDay) === 0 : null,
+            constrainedBySafeRange
+        };
+    }
+
+    generateDosingSchedule(componentDoses, patientProfile, separations = []) {
         const schedule = this.initializeSchedule();
         const fatSolubleComponents = new Set(['coq10', 'vitamin-e', 'boswellia', 'silymarin']);
         
@@ -146,9 +648,38 @@ class DosingEngine {
         
         // Third pass: co-locate synergistic pairs
         this.coLocateSynergyPairs(schedule);
+
+        // Fourth pass: keep competing components the required hours apart
+        this.separateCompetingComponents(schedule, separations);
+
+        // Fat-soluble components need a meal wherever they ended up
+        Object.values(schedule).forEach(items => items.forEach(item => {
+            item.withFood = fatSolubleComponents.has(item.id);
+        }));
         
         return schedule;
     }
+
+    buildDailyTimeline(schedule, componentDoses) {
+        // Occupied slots in clock order, with the pills to take in each
+        return Object.entries(schedule)
+            .filter(([, items]) => items.length > 0)
+            .map(([slot, items]) => ({
+                slot,
+                hour: this.slotHours[slot],
+                withMeal: this.mealSlots.has(slot),
+                items: items.map(item => {
+                    const practicalDose = componentDoses[item.id]?.practicalDose;
+                    return {
+                        ...item,
+                        unitsPerDose: practicalDose ? practicalDose.unitsPerDose : null,
+                        unitLabel: practicalDose ? practicalDose.unitLabel : null,
+                        practicalDose: practicalDose ? practicalDose.dose : item.dose
+                    };
+                })
+            }))
+            .sort((a, b) => a.hour - b.hour || (a.slot === 'topical') - (b.slot === 'topical'));
+    }
     
     initializeSchedule() {
         return {
@@ -170,7 +701,10 @@ class DosingEngine {
                         dose: doseInfo.adjustedDose,
                         unit: doseInfo.unit,
                         route: doseInfo.route,
-                        frequency: doseInfo.frequency
+                        frequency: doseInfo.frequency,
+                        reason: times.length > 1
+                            ? `${times.length} doses a day, split across ${[...times].sort((a, b) => this.slotHours[a] - this.slotHours[b]).join(' and ')}`
+                            : `Recommended timing for ${component.name}`
                     });
                 }
             });
@@ -188,6 +722,9 @@ class DosingEngine {
             });
             
             if (itemsToMove.length > 0) {
+                itemsToMove.forEach(item => {
+                    item.reason = `Fat-soluble: moved from ${fromSlot} to ${toSlot} for absorption with food`;
+                });
                 const moveIds = new Set(itemsToMove.map(i => i.id));
                 schedule[fromSlot] = schedule[fromSlot].filter(item => !moveIds.has(item.id));
                 schedule[toSlot].push(...itemsToMove);
@@ -195,6 +732,68 @@ class DosingEngine {
         });
     }
     
+    separateCompetingComponents(schedule, separations) {
+        const oralSlots = Object.keys(this.slotHours).filter(slot => slot !== 'topical');
+        const slotsOf = componentId => oralSlots.filter(slot => schedule[slot].some(item => item.id === componentId));
+        const isClear = (componentId, slot) => separations.every(separation => {
+            if (!separation.components.includes(componentId)) return true;
+            return separation.components
+                .filter(other => other !== componentId)
+                .every(other => slotsOf(other).every(otherSlot =>
+                    Math.abs(this.slotHours[slot] - this.slotHours[otherSlot]) >= separation.hours
+                ));
+        });
+
+        separations.forEach(separation => {
+            if (this.findSeparationConflicts(schedule, [separation]).length === 0) return;
+
+            // Move the component with fewer doses first; fall back to its partner
+            const movers = [...separation.components].sort((a, b) => slotsOf(a).length - slotsOf(b).length);
+            for (const componentId of movers) {
+                const timing = this.componentsData.components[componentId].timing || [];
+                const partnerNames = separation.components
+                    .filter(other => other !== componentId)
+                    .map(other => this.componentsData.components[other].name)
+                    .join(', ');
+
+                slotsOf(componentId).forEach(fromSlot => {
+                    if (isClear(componentId, fromSlot)) return;
+                    // Divided doses stay spread over the day
+                    const otherDoses = slotsOf(componentId).filter(slot => slot !== fromSlot);
+                    const target = oralSlots
+                        .filter(slot => isClear(componentId, slot) &&
+                            otherDoses.every(other => Math.abs(this.slotHours[slot] - this.slotHours[other]) >= 4))
+                        .sort((a, b) => (timing.includes(b) - timing.includes(a)) ||
+                            Math.abs(this.slotHours[a] - this.slotHours[fromSlot]) - Math.abs(this.slotHours[b] - this.slotHours[fromSlot]))[0];
+                    if (!target) return;
+
+                    const index = schedule[fromSlot].findIndex(item => item.id === componentId);
+                    const [item] = schedule[fromSlot].splice(index, 1);
+                    item.reason = `Moved from ${fromSlot} to ${target} to keep ${separation.hours} h apart from ${partnerNames} (${separation.type === 'absorption' ? 'absorption competition' : separation.type})`;
+                    schedule[target].push(item);
+                });
+
+                if (this.findSeparationConflicts(schedule, [separation]).length === 0) break;
+            }
+        });
+    }
+
+    findSeparationConflicts(schedule, separations) {
+        // Pairs of slots holding separated components closer than the required gap
+        const conflicts = [];
+        separations.forEach(separation => {
+            const [componentA, componentB] = separation.components;
+            const slotsA = Object.keys(schedule).filter(slot => slot !== 'topical' && schedule[slot].some(item => item.id === componentA));
+            const slotsB = Object.keys(schedule).filter(slot => slot !== 'topical' && schedule[slot].some(item => item.id === componentB));
+            const gaps = slotsA.flatMap(slotA => slotsB.map(slotB => Math.abs(this.slotHours[slotA] - this.slotHours[slotB])));
+            const minGap = gaps.length > 0 ? Math.min(...gaps) : Infinity;
+            if (minGap < separation.hours) {
+                conflicts.push({ ...separation, gapHours: minGap });
+            }
+        });
+        return conflicts;
+    }
+
     coLocateSynergyPairs(schedule) {
         const synergyPairs = [
             ['vitamin-c', 'vitamin-e'], ['vitamin-c', 'coq10'],
@@ -233,7 +832,9 @@ class DosingEngine {
         // Perform the move
         const index = schedule[sourceSlot].findIndex(x => x.id === componentToMove);
         if (index >= 0) {
+            const partnerId = componentToMove === compA ? compB : compA;
             const [item] = schedule[sourceSlot].splice(index, 1);
+            item.reason = `Moved to ${targetSlot} to be taken with ${this.componentsData.components[partnerId].name} (synergy)`;
             schedule[targetSlot].push(item);
             locationMap.set(item.id, targetSlot);
         }
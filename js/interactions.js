@@ -1,36 +1,41 @@
 // Drug Interaction Calculation Engine
 class InteractionEngine {
-    constructor(interactionsData) {
+    constructor(interactionsData, componentsData = null, rulesData = null, medicationsData = null) {
         this.interactionsData = interactionsData;
+        this.componentsData = componentsData;
+        this.rulesData = rulesData;
+        this.medicationsData = medicationsData;
     }
 
-    calculateSynergies(selectedComponents) {
-        const synergies = {};
-        const interactions = this.interactionsData.drugInteractions;
-
-        // Check all possible pair combinations
-        for (let i = 0; i < selectedComponents.length; i++) {
-            for (let j = i + 1; j < selectedComponents.length; j++) {
-                const comp1 = selectedComponents[i];
-                const comp2 = selectedComponents[j];
-                
-                // Check both directions for interaction
-                const interactionKey1 = `${comp1}_${comp2}`;
-                const interactionKey2 = `${comp2}_${comp1}`;
-                
-                const interaction = interactions[interactionKey1] || interactions[interactionKey2];
-                
-                if (interaction) {
-                    synergies[`${comp1}-${comp2}`] = this.processInteraction(interaction);
-                }
-            }
-        }
+    getInteractionRecords() {
+        // Every entry names its components explicitly; the id is only a label
+        return Object.entries(this.interactionsData.drugInteractions)
+            .map(([id, interaction]) => ({ id, ...interaction }));
+    }
 
-        return synergies;
+    appliesTo(record, selectedComponents, dailyDoses = null) {
+        if (!record.components.every(componentId => selectedComponents.includes(componentId))) return false;
+
+        // Dose conditions (e.g. "high dose vitamin C") need the daily doses; without them they are assumed met
+        if (!record.conditions || !dailyDoses) return true;
+        return record.conditions.every(condition =>
+            dailyDoses[condition.component] === undefined || dailyDoses[condition.component] >= condition.minDailyDose
+        );
+    }
+
+    calculateSynergies(selectedComponents, dailyDoses = null) {
+        // Pairs and entries spanning three or more components, each applying only when all members are selected
+        return this.getInteractionRecords()
+            .filter(record => this.appliesTo(record, selectedComponents, dailyDoses))
+            .map(record => this.processInteraction(record));
     }
 
     processInteraction(interaction) {
         const processed = {
+            id: interaction.id,
+            components: [...interaction.components],
+            direction: interaction.direction || null,
+            conditions: interaction.conditions || [],
             type: interaction.type,
             factor: interaction.factor,
             mechanism: interaction.mechanism,
@@ -44,6 +49,11 @@ class InteractionEngine {
             processed.interpretation = this.interpretCombinationIndex(interaction.ci);
         }
 
+        // Absorption competition needs the components taken hours apart
+        if (interaction.separation) {
+            processed.separationHours = interaction.separation.hours;
+        }
+
         // Calculate regeneration rate if applicable
         if (interaction.type === 'regeneration' && interaction.rate) {
             processed.regenerationRate = interaction.rate;
@@ -83,8 +93,14 @@ class InteractionEngine {
         let highSignificanceCount = 0;
         let moderateSignificanceCount = 0;
 
-        Object.values(synergies).forEach(synergy => {
-            if (synergy.significance === 'high') {
+        synergies.forEach(synergy => {
+            // Network entries describe pairs that are already counted, so they are not multiplied in again
+            if (synergy.separated || synergy.type === 'network') return;
+
+            // Antagonism and unseparated absorption competition always count against the outcome
+            if (synergy.factor < 1) {
+                overallFactor *= Math.max(synergy.factor, 0.5);
+            } else if (synergy.significance === 'high') {
                 overallFactor *= Math.min(synergy.factor, 2.0);
                 highSignificanceCount++;
             } else if (synergy.significance === 'moderate') {
@@ -101,92 +117,293 @@ class InteractionEngine {
             overallFactor *= (0.95 ** (moderateSignificanceCount - 2));
         }
 
-        return Math.min(overallFactor, 3.0); // Cap at 3x maximum benefit
+        return Math.max(0.5, Math.min(overallFactor, 3.0)); // Cap at 3x maximum benefit
+    }
+
+    getSeparationConstraints(selectedComponents, dailyDoses = null) {
+        // Selected pairs that must be taken hours apart
+        return this.getInteractionRecords()
+            .filter(record => record.separation && record.components.length === 2 &&
+                this.appliesTo(record, selectedComponents, dailyDoses))
+            .map(record => ({
+                key: record.id,
+                components: record.components,
+                hours: record.separation.hours,
+                type: record.type,
+                mechanism: record.mechanism
+            }));
+    }
+
+    applySeparations(synergies, separations, conflicts) {
+        // Competition only costs absorption when the schedule could not keep the pair apart
+        synergies.forEach(synergy => {
+            if (!synergy.separationHours) return;
+            synergy.separated = separations.some(separation => separation.key === synergy.id) &&
+                !conflicts.some(conflict => conflict.key === synergy.id);
+        });
+        return synergies;
     }
 
     checkContraindications(selectedComponents, patientProfile) {
-        const contraindications = [];
-
-        // Age-related contraindications
-        if (patientProfile.age >= 75) {
-            if (selectedComponents.includes('pentoxifylline')) {
-                contraindications.push({
-                    type: 'age',
-                    component: 'pentoxifylline',
-                    severity: 'caution',
-                    message: 'Increased bleeding risk in elderly patients'
-                });
-            }
-        }
+        // Component-specific rules from data/rules.json
+        return new RulesEngine(this.rulesData, this.componentsData)
+            .evaluate(patientProfile, selectedComponents)
+            .filter(result => result.component);
+    }
 
-        // Kidney function contraindications
-        if (patientProfile.creatinineClearance < 15) {
-            if (selectedComponents.includes('pentoxifylline')) {
-                contraindications.push({
-                    type: 'renal',
-                    component: 'pentoxifylline',
-                    severity: 'contraindicated',
-                    message: 'Contraindicated in severe renal impairment'
-                });
-            }
-        }
+    checkMedicationInteractions(medicationIds, selectedComponents) {
+        if (!this.medicationsData || medicationIds.length === 0) return [];
+        const { medications, interactions, citations = {} } = this.medicationsData;
+        const results = [];
+
+        // Table entries match by medication id or by medication class
+        interactions.forEach(entry => {
+            medicationIds.forEach(medicationId => {
+                const medication = medications[medicationId];
+                if (!medication) return;
+                const matches = (entry.medications || []).includes(medicationId) ||
+                    (entry.classes || []).includes(medication.class);
+                if (!matches) return;
 
-        // Liver function contraindications (no Child-Pugh C in model) — none here
+                entry.components
+                    .filter(componentId => selectedComponents.includes(componentId))
+                    .forEach(componentId => {
+                        const componentName = this.componentsData?.components[componentId]?.name || componentId;
+                        results.push({
+                            id: `${entry.id}:${medicationId}:${componentId}`,
+                            type: 'medication',
+                            severity: entry.severity,
+                            component: componentId,
+                            medication: medicationId,
+                            message: entry.message
+                                .replace('{medication}', medication.name)
+                                .replace('{component}', componentName),
+                            separationHours: entry.separationHours || null,
+                            citationKey: entry.citation || null,
+                            citation: citations[entry.citation] || null
+                        });
+                    });
+            });
+        });
 
-        return contraindications;
+        return results;
     }
 
-    calculateChouTalalayIndex(component1Dose, component2Dose, component1IC50, component2IC50) {
-        // Chou-Talalay method for drug combination analysis
-        // CI = (D1/Dx1) + (D2/Dx2) + α(D1·D2)/(Dx1·Dx2)
-        
-        const d1_over_dx1 = component1Dose / component1IC50;
-        const d2_over_dx2 = component2Dose / component2IC50;
-        const alpha = 0.5; // Interaction parameter
-        
-        const ci = d1_over_dx1 + d2_over_dx2 + (alpha * d1_over_dx1 * d2_over_dx2);
-        
-        let synergyStrength;
-        if (ci < 0.7) {
-            synergyStrength = 'synergistic';
-        } else if (ci > 1.1) {
-            synergyStrength = 'antagonistic';
-        } else {
-            synergyStrength = 'additive';
+    calculateBleedingRisk(selectedComponents, patientProfile, contributions = {}) {
+        const model = this.interactionsData.bleedingRisk;
+        if (!model || !this.componentsData) return null;
+
+        // Component weights from components.json
+        const components = selectedComponents
+            .map(componentId => ({
+                id: componentId,
+                name: this.componentsData.components[componentId]?.name || componentId,
+                weight: this.componentsData.components[componentId]?.bleedingWeight || 0,
+                citationKey: this.componentsData.components[componentId]?.sources?.bleedingWeight || null
+            }))
+            .filter(component => component.weight > 0);
+
+        // Patient factors: the first matching band of each factor counts
+        const rules = new RulesEngine(null, this.componentsData);
+        const patientFactors = (model.patientFactors || []).map(factor => {
+            const band = factor.bands.find(b => rules.evaluateCondition(b, { profile: patientProfile, selected: new Set() }));
+            return band ? { label: factor.label, detail: band.detail, points: band.points } : null;
+        }).filter(Boolean);
+
+        // Co-medications add points by class
+        const { medications = {} } = this.medicationsData || {};
+        const medicationFactors = (patientProfile.medications || [])
+            .map(medicationId => ({
+                id: medicationId,
+                name: medications[medicationId]?.name || medicationId,
+                points: model.medicationClasses?.[medications[medicationId]?.class] || 0
+            }))
+            .filter(medication => medication.points > 0);
+
+        const baseline = [...patientFactors, ...medicationFactors].reduce((sum, factor) => sum + factor.points, 0);
+        const componentTotal = components.reduce((sum, component) => sum + component.weight, 0);
+        const score = this.roundScore(baseline + componentTotal);
+        const tier = this.getBleedingRiskTier(score);
+
+        return {
+            score,
+            tier: tier.tier,
+            label: tier.label,
+            threshold: model.threshold,
+            basis: model.basis || null,
+            aboveThreshold: score >= model.threshold,
+            components,
+            patientFactors,
+            medications: medicationFactors,
+            suggestion: score >= model.threshold
+                ? this.suggestBleedingReduction(components, score, model.threshold, contributions)
+                : null
+        };
+    }
+
+    suggestBleedingReduction(components, score, threshold, contributions) {
+        const excess = score - threshold;
+        const benefit = componentId => contributions[componentId]?.points ?? 0;
+
+        // Prefer one component whose removal is enough, losing the least modeled benefit
+        const sufficient = components
+            .filter(component => this.roundScore(score - component.weight) < threshold)
+            .sort((a, b) => benefit(a.id) - benefit(b.id) || a.weight - b.weight);
+        let drop = sufficient.length > 0 ? [sufficient[0]] : [];
+
+        // Otherwise drop the heaviest contributors until under the threshold; when patient
+        // factors alone exceed it, only the heaviest component is worth naming
+        const componentTotal = components.reduce((sum, component) => sum + component.weight, 0);
+        if (drop.length === 0 && this.roundScore(score - componentTotal) >= threshold) {
+            drop = [[...components].sort((a, b) => b.weight - a.weight)[0]];
+        } else if (drop.length === 0) {
+            let remaining = excess;
+            for (const component of [...components].sort((a, b) => b.weight - a.weight)) {
+                if (remaining < 0) break;
+                drop.push(component);
+                remaining = this.roundScore(remaining - component.weight);
+            }
         }
-        
+
+        const scoreAfter = this.roundScore(score - drop.reduce((sum, component) => sum + component.weight, 0));
+        const tierAfter = this.getBleedingRiskTier(scoreAfter);
         return {
-            combinationIndex: ci,
-            interpretation: this.interpretCombinationIndex(ci),
-            synergyStrength: synergyStrength
+            drop: drop.map(component => component.id),
+            names: drop.map(component => component.name),
+            scoreAfter,
+            tierAfter: tierAfter.tier,
+            labelAfter: tierAfter.label,
+            reachesThreshold: scoreAfter < threshold
         };
     }
 
-    generateInteractionReport(selectedComponents) {
-        const synergies = this.calculateSynergies(selectedComponents);
+    getBleedingRiskTier(score) {
+        const tiers = this.interactionsData.bleedingRisk.tiers;
+        return tiers.reduce((current, tier) => (score >= tier.min ? tier : current), tiers[0]);
+    }
+
+    roundScore(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    generateInteractionReport(selectedComponents, synergies = null) {
+        synergies = synergies || this.calculateSynergies(selectedComponents);
         const overallFactor = this.calculateOverallSynergyFactor(synergies);
         
+        const network = this.buildInteractionNetwork(selectedComponents, synergies);
+
         const report = {
-            totalInteractions: Object.keys(synergies).length,
+            totalInteractions: synergies.length,
             overallSynergyFactor: Math.round(overallFactor * 100) / 100,
-            significantInteractions: Object.entries(synergies)
-                .filter(([key, synergy]) => synergy.significance === 'high')
-                .length,
+            significantInteractions: synergies.filter(synergy => synergy.significance === 'high').length,
             interactions: synergies,
-            recommendations: this.generateInteractionRecommendations(synergies)
+            network,
+            recommendations: this.generateInteractionRecommendations(synergies, network)
         };
 
         return report;
     }
 
-    generateInteractionRecommendations(synergies) {
+    buildInteractionNetwork(selectedComponents, synergies) {
+        const name = componentId => this.componentsData?.components[componentId]?.name || componentId;
+        const neighbors = new Map(selectedComponents.map(componentId => [componentId, new Set()]));
+        const strength = new Map(selectedComponents.map(componentId => [componentId, 0]));
+        const edges = [];
+        const hyperedges = [];
+
+        // Pairs become edges; higher-order entries link every member to every other member
+        synergies.forEach(synergy => {
+            const members = synergy.components;
+            const link = { id: synergy.id, type: synergy.type, factor: synergy.factor, significance: synergy.significance };
+
+            if (members.length === 2) {
+                edges.push({ source: members[0], target: members[1], ...link });
+            } else {
+                hyperedges.push({ components: members, mechanism: synergy.mechanism, ...link });
+            }
+
+            members.forEach(componentId => {
+                members.filter(other => other !== componentId).forEach(other => neighbors.get(componentId).add(other));
+                // Weighted degree: log of the factor, so antagonism (factor < 1) counts against
+                strength.set(componentId, strength.get(componentId) + Math.log(synergy.factor || 1));
+            });
+        });
+
+        const nodes = selectedComponents.map(componentId => ({
+            id: componentId,
+            name: name(componentId),
+            degree: neighbors.get(componentId).size,
+            strength: Math.round(strength.get(componentId) * 100) / 100
+        }));
+
+        // Connected clusters by breadth-first search, isolated components left out
+        const visited = new Set();
+        const clusters = [];
+        selectedComponents.forEach(start => {
+            if (visited.has(start) || neighbors.get(start).size === 0) return;
+            const cluster = [];
+            const queue = [start];
+            visited.add(start);
+            while (queue.length > 0) {
+                const current = queue.shift();
+                cluster.push(current);
+                neighbors.get(current).forEach(next => {
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        queue.push(next);
+                    }
+                });
+            }
+            clusters.push({
+                components: cluster,
+                names: cluster.map(name),
+                edgeCount: edges.filter(edge => cluster.includes(edge.source)).length,
+                hyperedgeCount: hyperedges.filter(hyperedge => cluster.includes(hyperedge.components[0])).length
+            });
+        });
+        clusters.sort((a, b) => b.components.length - a.components.length);
+
+        // Hubs: the best-connected nodes, with at least three partners
+        const maxDegree = Math.max(0, ...nodes.map(node => node.degree));
+        const hubs = nodes
+            .filter(node => node.degree >= 3 && node.degree === maxDegree)
+            .sort((a, b) => b.degree - a.degree || b.strength - a.strength)
+            .map(node => ({
+                ...node,
+                centrality: selectedComponents.length > 1
+                    ? Math.round(node.degree / (selectedComponents.length - 1) * 100) / 100
+                    : 0
+            }));
+
+        return {
+            nodes,
+            edges,
+            hyperedges,
+            clusters,
+            hubs,
+            isolated: nodes.filter(node => node.degree === 0).map(node => node.id)
+        };
+    }
+
+    describeInteraction(synergy) {
+        const name = componentId => this.componentsData?.components[componentId]?.name || componentId;
+
+        // "Vitamin C regenerates Vitamin E" for directional mechanisms, otherwise the member list
+        if (synergy.direction) {
+            return `${name(synergy.direction.from)} ${synergy.direction.effect} ${name(synergy.direction.to)}`;
+        }
+        const names = synergy.components.map(name);
+        return names.length === 2 ? names.join(' and ') : names.join(', ');
+    }
+
+    generateInteractionRecommendations(synergies, network = null) {
         const recommendations = [];
 
-        Object.entries(synergies).forEach(([pair, synergy]) => {
+        synergies.forEach(synergy => {
             if (synergy.significance === 'high' && synergy.factor > 2) {
                 recommendations.push({
                     type: 'optimization',
-                    message: `Strong synergy between ${pair.replace('-', ' and ')}: ${synergy.mechanism}`,
+                    message: `Strong synergy: ${this.describeInteraction(synergy)}: ${synergy.mechanism}`,
                     action: 'Consider prioritizing this combination for maximum benefit'
                 });
             }
@@ -194,12 +411,32 @@ class InteractionEngine {
             if (synergy.combinationIndex && synergy.combinationIndex < 0.3) {
                 recommendations.push({
                     type: 'synergy',
-                    message: `Very strong synergistic interaction: ${pair.replace('-', ' and ')}`,
+                    message: `Very strong synergistic interaction: ${this.describeInteraction(synergy)}`,
                     action: 'Excellent combination - maintain both components'
                 });
             }
         });
 
+        if (network) {
+            const name = componentId => this.componentsData?.components[componentId]?.name || componentId;
+
+            network.hyperedges.forEach(hyperedge => {
+                recommendations.push({
+                    type: 'network',
+                    message: `Documented interaction network: ${hyperedge.components.map(name).join(', ')}: ${hyperedge.mechanism}`,
+                    action: 'See the cited study for how these components interact together'
+                });
+            });
+
+            network.hubs.forEach(hub => {
+                recommendations.push({
+                    type: 'hub',
+                    message: `${hub.name} interacts with ${hub.degree} other selected components`,
+                    action: 'Hub component - removing it weakens the most interactions'
+                });
+            });
+        }
+
         return recommendations;
     }
 }
\ No newline at end of file
@@ -0,0 +1,96 @@
+// Patient Metrics Engine (renal function and other derived clinical values)
+class PatientMetricsEngine {
+    constructor() {
+        // Serum creatinine conversion: 1 mg/dL = 88.4 µmol/L
+        this.creatinineUmolPerMgdl = 88.4;
+    }
+
+    convertCreatinineToMgdl(value, unit = 'mg/dL') {
+        if (typeof value !== 'number' || !isFinite(value)) return null;
+        return unit === 'umol/L' ? value / this.creatinineUmolPerMgdl : value;
+    }
+
+    convertCreatinine(value, fromUnit, toUnit) {
+        if (fromUnit === toUnit) return value;
+        return toUnit === 'umol/L'
+            ? value * this.creatinineUmolPerMgdl
+            : value / this.creatinineUmolPerMgdl;
+    }
+
+    calculateCreatinineClearance({ age, weight, serumCreatinine, unit = 'mg/dL' }) {
+        const creatinineMgdl = this.convertCreatinineToMgdl(serumCreatinine, unit);
+        if (!creatinineMgdl || creatinineMgdl <= 0 || !age || !weight) return null;
+
+        // Cockcroft-Gault (male): CrCl = (140 - age) × weight / (72 × SCr)
+        const clearance = ((140 - age) * weight) / (72 * creatinineMgdl);
+        return Math.max(0, Math.round(clearance));
+    }
+
+    classifyRenalFunction(creatinineClearance) {
+        if (typeof creatinineClearance !== 'number') return null;
+        if (creatinineClearance > 60) return { band: '>60', label: 'Normal or mildly reduced' };
+        if (creatinineClearance >= 30) return { band: '30-60', label: 'Moderate impairment' };
+        if (creatinineClearance >= 15) return { band: '15-30', label: 'Severe impairment' };
+        return { band: '<15', label: 'Kidney failure' };
+    }
+
+    calculateChildPugh({ bilirubin, albumin, inr, ascites, encephalopathy }) {
+        // All five criteria must be assessed; a missing one is never scored as normal
+        const ascitesPoints = { none: 1, mild: 2, moderate: 3 }[ascites];
+        const encephalopathyPoints = { none: 1, grade1to2: 2, grade3to4: 3 }[encephalopathy];
+        if ([bilirubin, albumin, inr].some(value => typeof value !== 'number' || !isFinite(value)) ||
+            !ascitesPoints || !encephalopathyPoints) {
+            return null;
+        }
+
+        // Each criterion scores 1-3 points (bilirubin mg/dL, albumin g/dL)
+        const points = {
+            bilirubin: bilirubin < 2 ? 1 : bilirubin <= 3 ? 2 : 3,
+            albumin: albumin > 3.5 ? 1 : albumin >= 2.8 ? 2 : 3,
+            inr: inr < 1.7 ? 1 : inr <= 2.3 ? 2 : 3,
+            ascites: ascitesPoints,
+            encephalopathy: encephalopathyPoints
+        };
+
+        const score = Object.values(points).reduce((sum, value) => sum + value, 0);
+        const childClass = score <= 6 ? 'A' : score <= 9 ? 'B' : 'C';
+
+        return {
+            score,
+            class: childClass,
+            liverFunction: `child${childClass}`,
+            points
+        };
+    }
+
+    calculateIdealBodyWeight(height) {
+        // Devine formula (male): 50 kg + 2.3 kg per inch over 5 ft
+        return Math.max(0, 50 + 2.3 * (height / 2.54 - 60));
+    }
+
+    calculateAdjustedBodyWeight(weight, height) {
+        const idealWeight = this.calculateIdealBodyWeight(height);
+        if (weight <= idealWeight) return weight;
+        return idealWeight + 0.4 * (weight - idealWeight);
+    }
+
+    calculateLeanBodyWeight(weight, height) {
+        // Janmahasatian formula (male)
+        const bmi = weight / Math.pow(height / 100, 2);
+        return (9270 * weight) / (6680 + 216 * bmi);
+    }
+
+    calculateDosingWeight(weightBasis, weight, height) {
+        switch (weightBasis) {
+            case 'ideal':
+                // Never dose above actual weight for underweight patients
+                return Math.min(weight, this.calculateIdealBodyWeight(height));
+            case 'adjusted':
+                return this.calculateAdjustedBodyWeight(weight, height);
+            case 'lean':
+                return this.calculateLeanBodyWeight(weight, height);
+            default:
+                return weight;
+        }
+    }
+}
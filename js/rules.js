@@ -0,0 +1,83 @@
+// Declarative Contraindication and Warning Rules Engine
+class RulesEngine {
+    constructor(rulesData, componentsData = null) {
+        this.rulesData = rulesData || { rules: [], citations: {} };
+        this.componentsData = componentsData;
+        this.severityOrder = { contraindicated: 0, caution: 1, info: 2 };
+        this.operators = {
+            '<': (a, b) => a < b,
+            '<=': (a, b) => a <= b,
+            '>': (a, b) => a > b,
+            '>=': (a, b) => a >= b,
+            '==': (a, b) => a === b,
+            '!=': (a, b) => a !== b,
+            'in': (a, b) => Array.isArray(b) && b.includes(a)
+        };
+    }
+
+    evaluate(patientProfile, selectedComponents) {
+        const context = { profile: patientProfile, selected: new Set(selectedComponents) };
+        const results = [];
+
+        this.rulesData.rules.forEach(rule => {
+            if (!this.evaluateCondition(rule.when, context)) return;
+
+            // Per-component rules fire once for every selected component with the given property
+            if (rule.forEachComponent) {
+                this.getMatchingComponents(rule.forEachComponent, selectedComponents)
+                    .forEach(componentId => results.push(this.buildResult(rule, componentId)));
+            } else {
+                results.push(this.buildResult(rule, rule.component || null));
+            }
+        });
+
+        return this.sortBySeverity(results);
+    }
+
+    sortBySeverity(results) {
+        return [...results].sort((a, b) => this.severityOrder[a.severity] - this.severityOrder[b.severity]);
+    }
+
+    evaluateCondition(condition, context) {
+        if (!condition) return true;
+
+        if (condition.all) return condition.all.every(c => this.evaluateCondition(c, context));
+        if (condition.any) return condition.any.some(c => this.evaluateCondition(c, context));
+        if (condition.not) return !this.evaluateCondition(condition.not, context);
+        if (condition.selected) return context.selected.has(condition.selected);
+
+        if (condition.field) {
+            const value = context.profile[condition.field];
+            const operator = this.operators[condition.op];
+            // Missing patient values never trigger a rule (null < 30 would otherwise be true)
+            if (!operator || value === null || value === undefined) return false;
+            return operator(value, condition.value);
+        }
+
+        console.warn('Unknown rule condition:', condition);
+        return false;
+    }
+
+    getMatchingComponents(filter, selectedComponents) {
+        if (!this.componentsData) return [];
+        return selectedComponents.filter(componentId => {
+            const component = this.componentsData.components[componentId];
+            return component && component[filter.property] === filter.value;
+        });
+    }
+
+    buildResult(rule, componentId) {
+        const component = componentId ? this.componentsData?.components[componentId] : null;
+        const citation = this.rulesData.citations?.[rule.citation] || null;
+
+        return {
+            id: rule.id,
+            type: rule.type,
+            severity: rule.severity,
+            component: componentId,
+            message: rule.message.replace('{component}', component ? component.name : componentId),
+            citationKey: rule.citation || null,
+            citation
+        };
+    }
+}
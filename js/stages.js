@@ -10,18 +10,11 @@ class StageEngine {
             throw new Error(`Stage ${stageId} not found`);
         }
 
-        // Adjust duration based on plaque/calcification for acute phase
-        let duration = stage.duration;
+        // Duration adjusted for plaque/calcification in the acute phase
+        const duration = this.getProtocolDuration(stageId, patientProfile);
         let specialConsiderations = [...(stage.specialConsiderations || [])];
         
         if (stageId === 'acute' && patientProfile) {
-            if (patientProfile.hasCalcification) {
-                duration = "18-36";
-            } else if (patientProfile.hasPlaque) {
-                duration = "6-24";
-            }
-            // Default acute phase is already 3-18 months
-            
             // Add injectable therapy for acute with plaque
             if (patientProfile.hasPlaque || patientProfile.hasCalcification) {
                 specialConsiderations.push("Injectable therapy mandatory: biweekly for 6 months, then monthly for 12 months");
@@ -31,7 +24,7 @@ class StageEngine {
         return {
             stageName: stage.name,
             timeframe: stage.timeframe,
-            duration: `${duration} ${stage.durationUnit}`,
+            duration: `${duration.min}-${duration.max} ${stage.durationUnit}`,
             description: stage.description,
             characteristics: stage.characteristics,
             coreComponents: stage.coreComponents,
@@ -179,19 +172,157 @@ class StageEngine {
         return customSchedule;
     }
 
+    getProtocolDuration(stageId, patientProfile = null) {
+        const stage = this.stagesData.stageProtocols[stageId];
+        if (!stage) {
+            throw new Error(`Stage ${stageId} not found`);
+        }
+
+        // First matching adjustment (e.g. plaque or calcification in the acute phase) replaces the default
+        const rules = new RulesEngine(null);
+        const adjustment = patientProfile && (stage.durationAdjustments || [])
+            .find(entry => rules.evaluateCondition(entry.when, { profile: patientProfile, selected: new Set() }));
+        const { min, max } = adjustment || stage.durationMonths;
+        return { min, max, unit: 'months' };
+    }
+
+    getMonitoringTimeline(stageId, startDate, patientProfile = null, months = null, stageSegments = null) {
+        const start = this.parseDate(startDate);
+        // Visits cover the stage's longest protocol unless the course length is given
+        const totalMonths = months || this.getProtocolDuration(stageId, patientProfile).max;
+        const end = this.addMonths(start, totalMonths);
+        const weekMs = 7 * 24 * 3600 * 1000;
+        const segments = stageSegments && stageSegments.length > 0
+            ? stageSegments
+            : [{ stage: stageId, startMonth: 0, endMonth: totalMonths }];
+
+        // Each stage follows its own schedule from the month it starts; the last one runs to the end of the course
+        const visits = [];
+        let quarterlyCount = 0;
+        segments.forEach((segment, index) => {
+            const schedule = this.getMonitoringSchedule(segment.stage);
+            const segmentStart = this.addMonths(start, segment.startMonth);
+            const last = index === segments.length - 1;
+            const inSegment = date => last ? date <= end : date < this.addMonths(start, segment.endMonth);
+            // Stages entered mid-course prefix their fixed visits, e.g. "chronic-week4"
+            const prefix = index === 0 ? '' : `${segment.stage}-`;
+            const stageName = this.stagesData.stageProtocols[segment.stage]?.name || segment.stage;
+
+            let lastWeek = 0;
+            Object.entries(schedule).forEach(([id, visit]) => {
+                const weekMatch = id.match(/^week(\d+)$/);
+                if (id !== 'baseline' && !weekMatch) return;
+
+                const week = weekMatch ? parseInt(weekMatch[1], 10) : 0;
+                const date = this.addDays(segmentStart, week * 7);
+                if (!inSegment(date)) return;
+                lastWeek = Math.max(lastWeek, week);
+                visits.push({
+                    ...visit,
+                    id: `${prefix}${id}`,
+                    scheduleId: id,
+                    stage: segment.stage,
+                    timepoint: index === 0 ? visit.timepoint : `${stageName}, ${visit.timepoint}`,
+                    week: index === 0 ? week : Math.round((date - start) / weekMs),
+                    date
+                });
+            });
+
+            // Quarterly visits continue three months after the last fixed visit until the stage ends
+            if (schedule.quarterly) {
+                const firstQuarterly = this.addMonths(this.addDays(segmentStart, lastWeek * 7), 3);
+                for (let n = 0; inSegment(this.addMonths(firstQuarterly, 3 * n)); n++) {
+                    const date = this.addMonths(firstQuarterly, 3 * n);
+                    const months = Math.round((date - start) / (30.44 * 24 * 3600 * 1000));
+                    quarterlyCount++;
+                    visits.push({
+                        ...schedule.quarterly,
+                        id: `quarterly-${quarterlyCount}`,
+                        scheduleId: 'quarterly',
+                        stage: segment.stage,
+                        timepoint: `Month ${months}`,
+                        week: Math.round((date - start) / weekMs),
+                        date
+                    });
+                }
+            }
+        });
+
+        return visits.sort((a, b) => a.date - b.date);
+    }
+
+    parseDate(value) {
+        // "YYYY-MM-DD" from date inputs is a local calendar date, not UTC midnight
+        if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        const [year, month, day] = String(value).split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    addMonths(date, months) {
+        // Clamp to the last day of the target month (Jan 31 + 1 month is Feb 28/29, not Mar 3)
+        const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDay));
+    }
+
+    classifyStage(patientProfile) {
+        const classification = this.stagesData.stageClassification || { overrides: [], phaseCriteria: [] };
+        const rules = new RulesEngine(null);
+        const context = { profile: patientProfile, selected: new Set() };
+        const criterion = (entry, extra = {}) => ({ id: entry.id, reason: entry.reason, ...extra });
+
+        // Phase evidence is always scored, so the explanation shows it even when an override wins
+        const scores = { acute: 0, chronic: 0 };
+        const phaseMatches = classification.phaseCriteria
+            .filter(entry => rules.evaluateCondition(entry.when, context))
+            .map(entry => {
+                scores[entry.phase] += entry.points;
+                return criterion(entry, { phase: entry.phase, points: entry.points });
+            });
+
+        const phase = scores.acute === scores.chronic ? null : (scores.acute > scores.chronic ? 'acute' : 'chronic');
+        const total = scores.acute + scores.chronic;
+
+        // Severe curvature and calcification select their own protocol whatever the phase; first match wins
+        const override = classification.overrides.find(entry => rules.evaluateCondition(entry.when, context)) || null;
+        const stage = override ? override.stage : phase;
+
+        const criteria = [
+            ...(override ? [criterion(override, { stage: override.stage, decisive: true })] : []),
+            ...phaseMatches.map(match => ({ ...match, decisive: !override && match.phase === phase }))
+        ];
+
+        return {
+            stage,
+            phase,
+            scores,
+            confidence: override ? 'high' : (phase ? (Math.abs(scores.acute - scores.chronic) >= 2 ? 'high' : 'low') : null),
+            criteria,
+            evidence: total > 0 || !!override,
+            selectedStage: patientProfile.stage || null,
+            mismatch: !!stage && !!patientProfile.stage && stage !== patientProfile.stage
+        };
+    }
+
     validateStageSelection(patientProfile) {
         const validations = [];
+        const classification = this.classifyStage(patientProfile);
 
         // Check if stage matches patient characteristics
-        if (patientProfile.stage === 'acute' && patientProfile.symptomDuration > 12) {
+        if (classification.mismatch) {
+            const stageName = id => this.stagesData.stageProtocols[id]?.name || id;
             validations.push({
                 type: 'warning',
-                message: 'Patient has symptoms >12 months but acute stage selected',
-                recommendation: 'Consider chronic stage classification'
+                message: `Findings suggest ${stageName(classification.stage)} but ${stageName(patientProfile.stage)} selected`,
+                recommendation: classification.criteria.filter(entry => entry.decisive).map(entry => entry.reason).join('; '),
+                classification
             });
         }
 
-
         return validations;
     }
 
@@ -0,0 +1,107 @@
+// Supply Planning Engine
+class SupplyEngine {
+    constructor(componentsData) {
+        this.componentsData = componentsData;
+        this.dosing = new DosingEngine(componentsData);
+        this.titration = new TitrationEngine(componentsData);
+    }
+
+    buildSupplyPlan(componentDoses, patientProfile, { days, startDate }) {
+        const items = Object.entries(componentDoses).map(([componentId, doseInfo]) =>
+            this.planComponent(componentId, doseInfo, patientProfile, days, startDate)
+        );
+
+        return {
+            days,
+            startDate,
+            endDate: this.addDays(startDate, days - 1),
+            items,
+            totalPackages: items.reduce((sum, item) => sum + (item.packages || 0), 0)
+        };
+    }
+
+    planComponent(componentId, doseInfo, patientProfile, days, startDate) {
+        const component = this.componentsData.components[componentId];
+        const product = this.selectProduct(component, doseInfo.practicalDose);
+        const targetDailyDose = this.dosing.getDailyDose(componentId, patientProfile);
+        const schedule = this.titration.buildComponentSchedule(componentId, doseInfo);
+
+        // Walk the period day by day so titration weeks and package changes land on real dates
+        const packageAmount = product ? product.strength * product.packageSize : null;
+        const refillDates = [];
+        let totalAmount = 0;
+        let openedPackages = 1;
+        for (let day = 0; day < days; day++) {
+            const week = Math.floor(day / 7) + 1;
+            const step = this.titration.getStepForWeek(schedule.steps, week);
+            totalAmount += week >= schedule.targetReachedWeek || !step ? targetDailyDose : step.dailyDose;
+
+            while (packageAmount && totalAmount > openedPackages * packageAmount) {
+                refillDates.push(this.addDays(startDate, day));
+                openedPackages++;
+            }
+        }
+
+        const units = product ? Math.ceil(totalAmount / product.strength - 1e-9) : null;
+
+        return {
+            id: componentId,
+            name: component.name,
+            unit: component.unit,
+            dailyDose: Math.round(targetDailyDose * 100) / 100,
+            totalAmount: Math.round(totalAmount * 100) / 100,
+            product: product ? {
+                strength: product.strength,
+                packageSize: product.packageSize,
+                unitLabel: doseInfo.practicalDose?.unitLabel || `${product.strength} ${component.unit} ${component.formulary.form}`
+            } : null,
+            units,
+            packages: product ? Math.ceil(units / product.packageSize) : null,
+            titrated: schedule.titrated,
+            refillDates
+        };
+    }
+
+    selectProduct(component, practicalDose) {
+        const products = component.formulary?.products || [];
+        if (products.length === 0) return null;
+
+        // Largest package of the strength the dose was rounded to
+        const strength = practicalDose ? practicalDose.strength : products[0].strength;
+        return products
+            .filter(product => product.strength === strength)
+            .reduce((best, product) => (!best || product.packageSize > best.packageSize ? product : best), null)
+            || products[0];
+    }
+
+    toCsv(plan) {
+        const formatDate = date => [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const header = ['Component', 'Product', 'Daily dose', 'Unit', 'Total amount', 'Units needed', 'Package size', 'Packages', 'Refill dates'];
+        const rows = plan.items.map(item => [
+            item.name,
+            item.product ? item.product.unitLabel : '',
+            item.dailyDose,
+            item.unit,
+            item.totalAmount,
+            item.units,
+            item.product ? item.product.packageSize : '',
+            item.packages,
+            item.refillDates.map(formatDate).join(' ')
+        ]);
+
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+}
@@ -0,0 +1,269 @@
+// Protocol Timeline Engine (how a treatment course changes month by month)
+class TimelineEngine {
+    constructor(componentsData, stagesData) {
+        this.componentsData = componentsData;
+        this.stagesData = stagesData;
+        this.stages = new StageEngine(stagesData);
+        this.dosing = new DosingEngine(componentsData);
+        this.titration = new TitrationEngine(componentsData);
+        this.rules = new RulesEngine(null);
+    }
+
+    buildTimeline(patientProfile, selectedComponents) {
+        const startDate = this.stages.parseDate(patientProfile.treatmentStart || new Date());
+        const stageSegments = this.getStageSegments(patientProfile);
+        const injectableSegments = this.getInjectableSegments(patientProfile, stageSegments);
+        const componentSets = this.getComponentSets(stageSegments, selectedComponents);
+
+        // The course runs until the last stage and the injectable series have both completed
+        const totalMonths = Math.max(
+            stageSegments[stageSegments.length - 1].endMonth,
+            ...injectableSegments.map(segment => segment.endMonth)
+        );
+
+        // Every stage or injectable boundary starts a new phase
+        const boundaries = [...new Set([
+            0,
+            totalMonths,
+            ...stageSegments.map(segment => segment.startMonth),
+            ...injectableSegments.flatMap(segment => [segment.startMonth, segment.endMonth])
+        ])].filter(month => month <= totalMonths).sort((a, b) => a - b);
+
+        const phases = boundaries.slice(0, -1).map((startMonth, index) => {
+            const endMonth = boundaries[index + 1];
+            const stageIndex = stageSegments.findIndex(segment => startMonth >= segment.startMonth && startMonth < segment.endMonth);
+            const segment = stageSegments[stageIndex];
+            const injectable = injectableSegments.find(entry => startMonth >= entry.startMonth && startMonth < entry.endMonth) || null;
+            const set = componentSets[stageIndex];
+            const stageChanged = index > 0 && segment.startMonth === startMonth;
+
+            return {
+                index,
+                startMonth,
+                endMonth,
+                startDate: this.stages.addMonths(startDate, startMonth),
+                endDate: this.stages.addDays(this.stages.addMonths(startDate, endMonth), -1),
+                stage: segment.stage,
+                stageName: this.getStageName(segment.stage),
+                transition: stageChanged ? segment.transition : null,
+                injectable: injectable ? { id: injectable.id, label: injectable.label } : null,
+                components: set.components,
+                added: stageChanged ? set.added : [],
+                removed: stageChanged ? set.removed : []
+            };
+        });
+
+        phases.forEach((phase, index) => {
+            phase.changes = this.describeChanges(phases[index - 1] || null, phase);
+        });
+
+        return {
+            startDate,
+            endDate: this.stages.addDays(this.stages.addMonths(startDate, totalMonths), -1),
+            totalMonths,
+            phases,
+            stageSegments: stageSegments.map(({ stage, startMonth, endMonth }) => ({ stage, startMonth, endMonth })),
+            transitions: phases.filter(phase => phase.transition).map(phase => ({
+                month: phase.startMonth + 1,
+                date: phase.startDate,
+                from: phases[phase.index - 1].stage,
+                to: phase.stage,
+                reason: phase.transition.reason
+            })),
+            injections: this.getInjectionDates(injectableSegments, startDate, totalMonths),
+            componentPlans: this.getComponentPlans(stageSegments, componentSets, patientProfile)
+        };
+    }
+
+    getStageSegments(patientProfile) {
+        const transitions = this.stagesData.courseTransitions || [];
+        const onset = typeof patientProfile.symptomDuration === 'number' ? patientProfile.symptomDuration : 0;
+        const segments = [];
+        const visited = new Set();
+
+        let stage = patientProfile.stage;
+        let startMonth = 0;
+        let enteredBy = null;
+        let endMonth = this.stages.getProtocolDuration(stage, patientProfile).max;
+
+        // Follow transitions until a stage has none left; each stage is entered once
+        for (;;) {
+            visited.add(stage);
+            const transition = transitions.find(entry => entry.from === stage && !visited.has(entry.to));
+            if (!transition) {
+                segments.push({ stage, startMonth, endMonth: Math.max(endMonth, startMonth + 1), transition: enteredBy });
+                return segments;
+            }
+
+            // Months are counted from symptom onset when the history is known, else from this stage's start
+            const dueMonth = transition.since === 'symptomOnset'
+                ? transition.afterMonths - onset
+                : startMonth + transition.afterMonths;
+            const transitionMonth = Math.max(Math.round(dueMonth), startMonth + (transition.minMonths || 1));
+            segments.push({ stage, startMonth, endMonth: transitionMonth, transition: enteredBy });
+
+            // The next stage still gets at least its minimum duration
+            const nextDuration = this.stages.getProtocolDuration(transition.to, { ...patientProfile, stage: transition.to });
+            endMonth = Math.max(endMonth, transitionMonth + nextDuration.min);
+            startMonth = transitionMonth;
+            enteredBy = transition;
+            stage = transition.to;
+        }
+    }
+
+    getInjectableSegments(patientProfile, stageSegments) {
+        const therapy = this.stagesData.injectableTherapy;
+        if (!therapy) return [];
+
+        // The series starts with the first stage that calls for injections and then runs its full course
+        const first = stageSegments.find(segment => this.rules.evaluateCondition(therapy.when, {
+            profile: { ...patientProfile, stage: segment.stage },
+            selected: new Set()
+        }));
+        if (!first) return [];
+
+        let month = first.startMonth;
+        return therapy.schedule.map(entry => {
+            const segment = { ...entry, startMonth: month, endMonth: month + entry.months };
+            month = segment.endMonth;
+            return segment;
+        });
+    }
+
+    getComponentSets(stageSegments, selectedComponents) {
+        let current = [...selectedComponents];
+
+        return stageSegments.map((segment, index) => {
+            if (index === 0) return { components: current, added: [], removed: [] };
+
+            // Drop what the new stage contraindicates; add core components that only the new stage calls for
+            const previous = this.stagesData.stageProtocols[stageSegments[index - 1].stage];
+            const next = this.stagesData.stageProtocols[segment.stage];
+            const removed = current.filter(id => next.contraindicated.includes(id));
+            const added = next.coreComponents.filter(id =>
+                this.componentsData.components[id] && !previous.coreComponents.includes(id) && !current.includes(id)
+            );
+
+            current = [...current.filter(id => !removed.includes(id)), ...added];
+            return { components: current, added, removed };
+        });
+    }
+
+    getComponentPlans(stageSegments, componentSets, patientProfile) {
+        const plans = {};
+
+        componentSets.forEach((set, index) => {
+            set.components.forEach(componentId => {
+                if (plans[componentId]) return;
+
+                // Components added at a phase boundary titrate from that boundary
+                const doseInfo = this.dosing.calculateComponentDose(componentId, patientProfile);
+                plans[componentId] = {
+                    startMonth: stageSegments[index].startMonth,
+                    schedule: this.titration.buildComponentSchedule(componentId, doseInfo)
+                };
+            });
+        });
+
+        return plans;
+    }
+
+    getInjectionDates(injectableSegments, startDate, totalMonths) {
+        const courseEnd = this.stages.addMonths(startDate, totalMonths);
+        const dates = [];
+
+        injectableSegments.forEach(segment => {
+            const segmentStart = this.stages.addMonths(startDate, segment.startMonth);
+            const segmentEnd = this.stages.addMonths(startDate, segment.endMonth);
+            for (let n = 0; ; n++) {
+                const date = segment.intervalDays
+                    ? this.stages.addDays(segmentStart, n * segment.intervalDays)
+                    : this.stages.addMonths(segmentStart, n * (segment.intervalMonths || 1));
+                if (date >= segmentEnd || date >= courseEnd) break;
+                dates.push({ date, phase: segment.id, label: segment.label });
+            }
+        });
+
+        return dates;
+    }
+
+    getMonthView(timeline, month) {
+        // Month 1 is the first month of treatment
+        const monthNumber = Math.min(Math.max(1, Math.round(month)), timeline.totalMonths);
+        const offset = monthNumber - 1;
+        const monthStart = this.stages.addMonths(timeline.startDate, offset);
+        const monthEnd = this.stages.addMonths(timeline.startDate, monthNumber);
+        const phase = timeline.phases.find(entry => offset >= entry.startMonth && offset < entry.endMonth);
+        const nextPhase = timeline.phases[phase.index + 1] || null;
+        const weekMs = 7 * 24 * 3600 * 1000;
+
+        const components = phase.components.map(componentId => {
+            const plan = timeline.componentPlans[componentId];
+            const { steps, targetReachedWeek } = plan.schedule;
+            const componentStart = this.stages.addMonths(timeline.startDate, plan.startMonth);
+
+            // Dose in effect at the start of the month
+            const week = Math.floor((monthStart - componentStart) / weekMs) + 1;
+            const step = week >= targetReachedWeek
+                ? steps[steps.length - 1]
+                : this.titration.getStepForWeek(steps, week) || steps[0];
+
+            return {
+                id: componentId,
+                name: plan.schedule.name,
+                unit: plan.schedule.unit,
+                dose: step.dose,
+                frequency: step.frequency,
+                dailyDose: step.dailyDose,
+                unitsPerDose: step.unitsPerDose,
+                unitLabel: step.unitLabel,
+                titrating: week < targetReachedWeek,
+                targetDate: week < targetReachedWeek ? this.stages.addDays(componentStart, (targetReachedWeek - 1) * 7) : null,
+                added: phase.startMonth === offset && phase.added.includes(componentId)
+            };
+        });
+
+        return {
+            month: monthNumber,
+            totalMonths: timeline.totalMonths,
+            startDate: monthStart,
+            endDate: this.stages.addDays(monthEnd, -1),
+            phase,
+            stage: phase.stage,
+            stageName: phase.stageName,
+            injectable: phase.injectable,
+            injectionDates: timeline.injections
+                .filter(entry => entry.date >= monthStart && entry.date < monthEnd)
+                .map(entry => entry.date),
+            components,
+            nextChange: nextPhase ? {
+                month: nextPhase.startMonth + 1,
+                date: nextPhase.startDate,
+                changes: nextPhase.changes,
+                warnings: nextPhase.newWarnings || []
+            } : null
+        };
+    }
+
+    describeChanges(previous, phase) {
+        if (!previous) return [];
+
+        const name = componentId => this.componentsData.components[componentId]?.name || componentId;
+        const changes = [];
+
+        if (phase.transition) {
+            changes.push(`${previous.stageName} → ${phase.stageName}: ${phase.transition.reason}`);
+        }
+        if (phase.added.length > 0) changes.push(`Start ${phase.added.map(name).join(', ')}`);
+        if (phase.removed.length > 0) changes.push(`Stop ${phase.removed.map(name).join(', ')}`);
+        if (phase.injectable?.id !== previous.injectable?.id) {
+            changes.push(phase.injectable ? `${phase.injectable.label} begin` : 'Injectable therapy ends');
+        }
+
+        return changes;
+    }
+
+    getStageName(stageId) {
+        return this.stagesData.stageProtocols[stageId]?.name || stageId;
+    }
+}
@@ -0,0 +1,72 @@
+// Titration Planning Engine
+class TitrationEngine {
+    constructor(componentsData) {
+        this.componentsData = componentsData;
+        this.dosing = new DosingEngine(componentsData);
+    }
+
+    buildPlan(componentDoses) {
+        const rows = Object.entries(componentDoses).map(([componentId, doseInfo]) =>
+            this.buildComponentSchedule(componentId, doseInfo)
+        );
+
+        // Plan runs until the slowest component reaches its target dose
+        const totalWeeks = Math.max(1, ...rows.map(row => row.targetReachedWeek));
+        const weeks = Array.from({ length: totalWeeks }, (_, i) => i + 1);
+
+        rows.forEach(row => {
+            row.weeks = weeks.map(week => this.getStepForWeek(row.steps, week));
+        });
+
+        return {
+            totalWeeks,
+            weeks,
+            components: rows,
+            titratedCount: rows.filter(row => row.titrated).length
+        };
+    }
+
+    buildComponentSchedule(componentId, doseInfo) {
+        const component = this.componentsData.components[componentId];
+        const rules = component?.titration;
+        const steps = rules && Array.isArray(rules.steps) && rules.steps.length > 0
+            ? [...rules.steps].sort((a, b) => a.week - b.week)
+            : [{ week: 1, fraction: 1.0 }];
+
+        return {
+            id: componentId,
+            name: component.name,
+            unit: doseInfo.unit,
+            titrated: Boolean(rules),
+            reason: rules?.reason || null,
+            citationKey: rules ? component.sources?.titration || null : null,
+            targetReachedWeek: steps[steps.length - 1].week,
+            steps: steps.map(step => this.resolveStep(componentId, doseInfo, step))
+        };
+    }
+
+    resolveStep(componentId, doseInfo, step) {
+        const frequency = step.frequency || doseInfo.frequency;
+        const dose = doseInfo.adjustedDose * step.fraction;
+
+        // Titration doses are rounded to the same products as the target dose
+        const practical = this.dosing.roundToFormulary(componentId, dose, frequency);
+        const practicalDose = practical ? practical.dose : Math.round(dose);
+
+        return {
+            week: step.week,
+            fraction: step.fraction,
+            frequency,
+            dose: practicalDose,
+            dailyDose: practicalDose * this.dosing.getDosesPerDay(frequency),
+            unitsPerDose: practical ? practical.unitsPerDose : null,
+            unitLabel: practical ? practical.unitLabel : null
+        };
+    }
+
+    getStepForWeek(steps, week) {
+        // Latest step that has started by this week; null before the first step
+        const started = steps.filter(step => step.week <= week);
+        return started.length > 0 ? started[started.length - 1] : null;
+    }
+}
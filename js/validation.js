@@ -8,6 +8,7 @@ class ValidationEngine {
                 age: { min: 18, max: 100, required: true },
                 bmi: { min: 15, max: 50, required: true },
                 creatinineClearance: { min: 5, max: 200, required: false },
+                serumCreatinine: { min: 0.2, max: 15, required: false },
                 stage: { enum: ['acute', 'chronic', 'calcified', 'severe'], required: true }
             },
             components: {
@@ -90,6 +91,8 @@ class ValidationEngine {
             return { valid: false, errors, warnings };
         }
 
+        const citations = componentsData.citations || {};
+
         Object.entries(componentsData.components).forEach(([componentId, component]) => {
             // Validate component structure
             if (!component.name) {
@@ -100,6 +103,10 @@ class ValidationEngine {
                 errors.push(`Component ${componentId}: valid dosePerKg is required`);
             }
 
+            if (component.weightBasis && !['total', 'ideal', 'adjusted', 'lean', 'fixed'].includes(component.weightBasis)) {
+                errors.push(`Component ${componentId}: weightBasis must be total, ideal, adjusted, lean or fixed`);
+            }
+
             if (!component.frequency || !['QD', 'BID', 'TID', 'QID'].includes(component.frequency)) {
                 errors.push(`Component ${componentId}: valid frequency is required`);
             }
@@ -157,12 +164,109 @@ class ValidationEngine {
             // Validate adjustments
             if (component.adjustments) {
                 Object.entries(component.adjustments).forEach(([adjustment, factor]) => {
-                    if (factor <= 0 || factor > 3) {
-                        warnings.push(`Component ${componentId}: adjustment factor ${adjustment} (${factor}) seems unusual`);
-                    }
+                    // Graded adjustments (e.g. renal bands) nest one factor per band
+                    const factors = typeof factor === 'object' && factor !== null
+                        ? Object.entries(factor).map(([band, value]) => [`${adjustment}[${band}]`, value])
+                        : [[adjustment, factor]];
+                    factors.forEach(([name, value]) => {
+                        if (typeof value !== 'number' || value <= 0 || value > 3) {
+                            warnings.push(`Component ${componentId}: adjustment factor ${name} (${value}) seems unusual`);
+                        }
+                    });
                 });
             }
 
+            // Sources cite the data they name (e.g. renal) from the citations map
+            Object.entries(component.sources || {}).forEach(([field, citationKey]) => {
+                if (!citations[citationKey]) {
+                    errors.push(`Component ${componentId}: unknown citation ${citationKey} for ${field}`);
+                }
+            });
+            if (component.adjustments?.renal && !component.sources?.renal) {
+                warnings.push(`Component ${componentId}: renal adjustment has no source`);
+            }
+            if (['childA', 'childB', 'childC'].some(key => component.adjustments?.[key] !== undefined) && !component.sources?.hepatic) {
+                warnings.push(`Component ${componentId}: Child-Pugh adjustment has no source`);
+            }
+
+            // Validate daily dose limits; a limit without a source is left out rather than guessed
+            if (component.safeRange) {
+                const { min, max } = component.safeRange;
+                if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+                    errors.push(`Component ${componentId}: safeRange needs numeric min <= max`);
+                } else if (typeof component.maxDailyDose === 'number' && component.maxDailyDose < max) {
+                    errors.push(`Component ${componentId}: maxDailyDose must not be below safeRange max`);
+                }
+                if (!component.sources?.safeRange) {
+                    warnings.push(`Component ${componentId}: safeRange has no source`);
+                }
+            }
+            if (component.maxDailyDose !== undefined && !component.sources?.maxDailyDose) {
+                warnings.push(`Component ${componentId}: maxDailyDose has no source`);
+            }
+
+            // Validate ingredient ratios used for dose display
+            if (component.ingredients) {
+                if (!Array.isArray(component.ingredients) || component.ingredients.length === 0) {
+                    errors.push(`Component ${componentId}: ingredients must be a non-empty array`);
+                } else {
+                    component.ingredients.forEach((ingredient, index) => {
+                        if (!ingredient.name || !ingredient.unit) {
+                            errors.push(`Component ${componentId}: ingredient ${index} needs a name and unit`);
+                        }
+                        if (!(ingredient.amount > 0) || !(ingredient.per > 0)) {
+                            errors.push(`Component ${componentId}: ingredient ${index} needs positive amount and per values`);
+                        }
+                    });
+                }
+            }
+
+            if (component.bleedingWeight !== undefined && !(component.bleedingWeight >= 0)) {
+                errors.push(`Component ${componentId}: bleedingWeight must be a non-negative number`);
+            } else if (component.bleedingWeight > 0 && !component.sources?.bleedingWeight) {
+                warnings.push(`Component ${componentId}: bleedingWeight has no source`);
+            }
+
+            (component.safetyLabs || []).forEach((lab, index) => {
+                if (!lab.test || !Array.isArray(lab.visits) || lab.visits.length === 0) {
+                    errors.push(`Component ${componentId}: safetyLabs[${index}] needs a test and visits`);
+                }
+                if (!lab.citation) {
+                    warnings.push(`Component ${componentId}: safetyLabs[${index}] has no citation`);
+                } else if (!citations[lab.citation]) {
+                    errors.push(`Component ${componentId}: safetyLabs[${index}] has unknown citation ${lab.citation}`);
+                }
+            });
+
+            // Validate titration steps
+            if (component.titration) {
+                const steps = component.titration.steps;
+                if (!Array.isArray(steps) || steps.length === 0) {
+                    errors.push(`Component ${componentId}: titration needs at least one step`);
+                } else {
+                    if (steps.some(step => !(step.week >= 1) || !(step.fraction > 0 && step.fraction <= 1))) {
+                        errors.push(`Component ${componentId}: titration steps need week >= 1 and fraction in (0, 1]`);
+                    }
+                    const finalStep = steps.reduce((last, step) => step.week > last.week ? step : last, steps[0]);
+                    if (finalStep.fraction !== 1 || finalStep.frequency) {
+                        warnings.push(`Component ${componentId}: final titration step should reach the full target dose`);
+                    }
+                }
+                if (!component.sources?.titration) {
+                    warnings.push(`Component ${componentId}: titration has no source`);
+                }
+            }
+
+            // Validate formulary products
+            if (component.formulary) {
+                const products = component.formulary.products;
+                if (!Array.isArray(products) || products.length === 0) {
+                    warnings.push(`Component ${componentId}: formulary has no products`);
+                } else if (products.some(p => !(p.strength > 0) || !(p.packageSize > 0))) {
+                    errors.push(`Component ${componentId}: formulary products need positive strength and packageSize`);
+                }
+            }
+
             // Validate stages
             if (!component.stages) {
                 warnings.push(`Component ${componentId}: stage information missing`);
@@ -176,7 +280,7 @@ class ValidationEngine {
         };
     }
 
-    validateInteractionData(interactionsData) {
+    validateInteractionData(interactionsData, componentsData = null) {
         const errors = [];
         const warnings = [];
 
@@ -186,6 +290,26 @@ class ValidationEngine {
         }
 
         Object.entries(interactionsData.drugInteractions).forEach(([interactionId, interaction]) => {
+            const components = interaction.components;
+            if (!Array.isArray(components) || components.length < 2 || new Set(components).size !== components.length) {
+                errors.push(`Interaction ${interactionId}: components must list at least two distinct component ids`);
+            } else {
+                // Co-medications such as zinc belong in medications.json, not here
+                if (componentsData?.components) {
+                    components.filter(componentId => !componentsData.components[componentId]).forEach(componentId => {
+                        errors.push(`Interaction ${interactionId}: unknown component ${componentId}`);
+                    });
+                }
+                if (interaction.direction && !(components.includes(interaction.direction.from) && components.includes(interaction.direction.to))) {
+                    errors.push(`Interaction ${interactionId}: direction must point between its own components`);
+                }
+                (interaction.conditions || []).forEach(condition => {
+                    if (!components.includes(condition.component) || !(condition.minDailyDose > 0)) {
+                        errors.push(`Interaction ${interactionId}: dose conditions need one of its components and a positive minDailyDose`);
+                    }
+                });
+            }
+
             if (!interaction.type) {
                 errors.push(`Interaction ${interactionId}: type is required`);
             }
@@ -198,6 +322,10 @@ class ValidationEngine {
                 warnings.push(`Interaction ${interactionId}: mechanism description missing`);
             }
 
+            if (!interaction.verification) {
+                warnings.push(`Interaction ${interactionId}: no verification source`);
+            }
+
             if (!interaction.significance || !['low', 'moderate', 'high'].includes(interaction.significance)) {
                 warnings.push(`Interaction ${interactionId}: significance should be low/moderate/high`);
             }
@@ -208,8 +336,39 @@ class ValidationEngine {
                     warnings.push(`Interaction ${interactionId}: unusual combination index value (${interaction.ci})`);
                 }
             }
+
+            // Only antagonism and absorption competition lower the outcome
+            const negativeTypes = ['antagonism', 'absorption'];
+            if (interaction.factor < 1 && !negativeTypes.includes(interaction.type)) {
+                warnings.push(`Interaction ${interactionId}: factor below 1 on a ${interaction.type} interaction`);
+            }
+            if (negativeTypes.includes(interaction.type) && interaction.factor >= 1) {
+                warnings.push(`Interaction ${interactionId}: ${interaction.type} interaction should have a factor below 1`);
+            }
+
+            if (interaction.separation && !(interaction.separation.hours > 0)) {
+                errors.push(`Interaction ${interactionId}: separation needs positive hours`);
+            }
         });
 
+        // Validate the cumulative bleeding-risk model
+        const bleedingRisk = interactionsData.bleedingRisk;
+        if (bleedingRisk) {
+            if (!(bleedingRisk.threshold > 0)) {
+                errors.push('Bleeding risk: positive threshold is required');
+            }
+            if (!Array.isArray(bleedingRisk.tiers) || bleedingRisk.tiers.length === 0) {
+                errors.push('Bleeding risk: at least one tier is required');
+            } else if (bleedingRisk.tiers.some((tier, index) => index > 0 && tier.min <= bleedingRisk.tiers[index - 1].min)) {
+                errors.push('Bleeding risk: tiers must be sorted by ascending min');
+            }
+            (bleedingRisk.patientFactors || []).forEach(factor => {
+                if (!Array.isArray(factor.bands) || factor.bands.some(band => !band.field || !band.op || !(band.points >= 0))) {
+                    errors.push(`Bleeding risk factor ${factor.label}: bands need field, op and non-negative points`);
+                }
+            });
+        }
+
         return {
             valid: errors.length === 0,
             errors,
@@ -242,6 +401,12 @@ class ValidationEngine {
                 errors.push(`Stage ${stageId}: duration and durationUnit are required`);
             }
 
+            [stage.durationMonths, ...(stage.durationAdjustments || [])].forEach(range => {
+                if (!range || typeof range.min !== 'number' || typeof range.max !== 'number' || range.min > range.max) {
+                    errors.push(`Stage ${stageId}: durationMonths and durationAdjustments need numeric min <= max`);
+                }
+            });
+
             if (stage.successBase === undefined || stage.successBase < 0 || stage.successBase > 100) {
                 errors.push(`Stage ${stageId}: successBase must be between 0-100`);
             }
@@ -255,6 +420,74 @@ class ValidationEngine {
             }
         });
 
+        // Classifier criteria and injectable therapy use the rules.json condition grammar on patient fields
+        const operators = ['<', '<=', '>', '>=', '==', '!=', 'in'];
+        const validateWhen = (entryId, condition) => {
+            if (!condition) {
+                errors.push(`Stage criterion ${entryId}: missing condition`);
+            } else if (condition.all || condition.any) {
+                (condition.all || condition.any).forEach(c => validateWhen(entryId, c));
+            } else if (condition.not) {
+                validateWhen(entryId, condition.not);
+            } else if (!condition.field || !operators.includes(condition.op)) {
+                errors.push(`Stage criterion ${entryId}: conditions need a patient field and a valid operator`);
+            }
+        };
+
+        const classification = stagesData.stageClassification;
+        if (classification) {
+            (classification.overrides || []).forEach((entry, index) => {
+                const entryId = entry.id || `override #${index}`;
+                if (!stagesData.stageProtocols[entry.stage]) {
+                    errors.push(`Stage criterion ${entryId}: unknown stage ${entry.stage}`);
+                }
+                if (!entry.reason) warnings.push(`Stage criterion ${entryId}: no reason`);
+                validateWhen(entryId, entry.when);
+            });
+
+            (classification.phaseCriteria || []).forEach((entry, index) => {
+                const entryId = entry.id || `criterion #${index}`;
+                if (!['acute', 'chronic'].includes(entry.phase)) {
+                    errors.push(`Stage criterion ${entryId}: phase must be acute or chronic`);
+                }
+                if (typeof entry.points !== 'number' || entry.points <= 0) {
+                    errors.push(`Stage criterion ${entryId}: points must be a positive number`);
+                }
+                if (!entry.reason) warnings.push(`Stage criterion ${entryId}: no reason`);
+                validateWhen(entryId, entry.when);
+            });
+        }
+
+        // Course transitions must connect known stages and fall due after a positive number of months
+        (stagesData.courseTransitions || []).forEach((transition, index) => {
+            const transitionId = transition.id || `#${index}`;
+            [transition.from, transition.to].forEach(stageId => {
+                if (!stagesData.stageProtocols[stageId]) {
+                    errors.push(`Stage transition ${transitionId}: unknown stage ${stageId}`);
+                }
+            });
+            if (typeof transition.afterMonths !== 'number' || transition.afterMonths <= 0) {
+                errors.push(`Stage transition ${transitionId}: afterMonths must be a positive number`);
+            }
+            if (!['symptomOnset', 'stageStart'].includes(transition.since)) {
+                errors.push(`Stage transition ${transitionId}: since must be symptomOnset or stageStart`);
+            }
+        });
+
+        const injectable = stagesData.injectableTherapy;
+        if (injectable) {
+            validateWhen('injectableTherapy', injectable.when);
+            (injectable.schedule || []).forEach((entry, index) => {
+                const entryId = entry.id || `#${index}`;
+                if (typeof entry.months !== 'number' || entry.months <= 0) {
+                    errors.push(`Injectable schedule ${entryId}: months must be a positive number`);
+                }
+                if (!entry.intervalDays && !entry.intervalMonths) {
+                    errors.push(`Injectable schedule ${entryId}: intervalDays or intervalMonths is required`);
+                }
+            });
+        }
+
         return {
             valid: errors.length === 0,
             errors,
@@ -262,23 +495,32 @@ class ValidationEngine {
         };
     }
 
-    async validateAllData(componentsData, interactionsData, stagesData) {
+    async validateAllData(componentsData, interactionsData, stagesData, rulesData = null, medicationsData = null) {
         const validations = {
             components: this.validateComponentData(componentsData),
-            interactions: this.validateInteractionData(interactionsData),
-            stages: this.validateStageData(stagesData)
+            interactions: this.validateInteractionData(interactionsData, componentsData),
+            stages: this.validateStageData(stagesData),
+            bleedingRisk: this.validateBleedingRiskCalibration(componentsData, interactionsData, stagesData),
+            rules: rulesData ? this.validateRuleData(rulesData, componentsData) : { errors: [], warnings: [] },
+            medications: medicationsData ? this.validateMedicationData(medicationsData, componentsData) : { errors: [], warnings: [] }
         };
 
         const allErrors = [
             ...validations.components.errors,
             ...validations.interactions.errors,
-            ...validations.stages.errors
+            ...validations.stages.errors,
+            ...validations.bleedingRisk.errors,
+            ...validations.rules.errors,
+            ...validations.medications.errors
         ];
 
         const allWarnings = [
             ...validations.components.warnings,
             ...validations.interactions.warnings,
-            ...validations.stages.warnings
+            ...validations.stages.warnings,
+            ...validations.bleedingRisk.warnings,
+            ...validations.rules.warnings,
+            ...validations.medications.warnings
         ];
 
         return {
@@ -289,6 +531,124 @@ class ValidationEngine {
         };
     }
 
+    validateBleedingRiskCalibration(componentsData, interactionsData, stagesData) {
+        const errors = [];
+        const warnings = [];
+        const threshold = interactionsData?.bleedingRisk?.threshold;
+        if (!(threshold > 0) || !componentsData?.components || !stagesData?.stageProtocols) {
+            return { errors, warnings };
+        }
+
+        // A default protocol alone, with no patient factors or co-medications, must stay below the threshold
+        Object.entries(stagesData.stageProtocols).forEach(([stageId, protocol]) => {
+            const score = (protocol.coreComponents || [])
+                .reduce((sum, componentId) => sum + (componentsData.components[componentId]?.bleedingWeight || 0), 0);
+            if (score >= threshold) {
+                errors.push(`Bleeding risk: default ${stageId} protocol scores ${Math.round(score * 100) / 100} without patient risk factors (threshold ${threshold})`);
+            }
+        });
+
+        return { errors, warnings };
+    }
+
+    validateRuleData(rulesData, componentsData) {
+        const errors = [];
+        const warnings = [];
+
+        if (!rulesData || !Array.isArray(rulesData.rules)) {
+            errors.push('Rules data missing rules array');
+            return { errors, warnings };
+        }
+
+        const severities = ['info', 'caution', 'contraindicated'];
+        const operators = ['<', '<=', '>', '>=', '==', '!=', 'in'];
+        const components = componentsData?.components || {};
+        const citations = rulesData.citations || {};
+        const ids = new Set();
+
+        // Walk nested all/any/not conditions
+        const validateCondition = (ruleId, condition) => {
+            if (!condition) return;
+            if (condition.all || condition.any) {
+                (condition.all || condition.any).forEach(c => validateCondition(ruleId, c));
+            } else if (condition.not) {
+                validateCondition(ruleId, condition.not);
+            } else if (condition.selected) {
+                if (!components[condition.selected]) {
+                    errors.push(`Rule ${ruleId}: unknown component ${condition.selected}`);
+                }
+            } else if (condition.field) {
+                if (!operators.includes(condition.op)) {
+                    errors.push(`Rule ${ruleId}: invalid operator ${condition.op}`);
+                }
+            } else {
+                errors.push(`Rule ${ruleId}: unrecognized condition`);
+            }
+        };
+
+        rulesData.rules.forEach((rule, index) => {
+            const ruleId = rule.id || `#${index}`;
+            if (!rule.id) errors.push(`Rule ${ruleId}: missing id`);
+            if (ids.has(rule.id)) errors.push(`Rule ${ruleId}: duplicate id`);
+            ids.add(rule.id);
+
+            if (!severities.includes(rule.severity)) {
+                errors.push(`Rule ${ruleId}: severity must be one of ${severities.join(', ')}`);
+            }
+            if (!rule.message) errors.push(`Rule ${ruleId}: missing message`);
+            if (rule.component && !components[rule.component]) {
+                errors.push(`Rule ${ruleId}: unknown component ${rule.component}`);
+            }
+            if (!rule.citation) {
+                warnings.push(`Rule ${ruleId}: no citation`);
+            } else if (!citations[rule.citation]) {
+                errors.push(`Rule ${ruleId}: unknown citation ${rule.citation}`);
+            }
+
+            validateCondition(ruleId, rule.when);
+        });
+
+        return { errors, warnings };
+    }
+
+    validateMedicationData(medicationsData, componentsData) {
+        const errors = [];
+        const warnings = [];
+
+        const classes = medicationsData.classes || {};
+        const medications = medicationsData.medications || {};
+        const citations = medicationsData.citations || {};
+        const components = componentsData?.components || {};
+
+        Object.entries(medications).forEach(([medicationId, medication]) => {
+            if (!medication.name) errors.push(`Medication ${medicationId}: missing name`);
+            if (!classes[medication.class]) errors.push(`Medication ${medicationId}: unknown class ${medication.class}`);
+        });
+
+        (medicationsData.interactions || []).forEach((entry, index) => {
+            const entryId = entry.id || `#${index}`;
+            if (!['info', 'caution', 'contraindicated'].includes(entry.severity)) {
+                errors.push(`Medication interaction ${entryId}: invalid severity ${entry.severity}`);
+            }
+            if (!(entry.medications || []).length && !(entry.classes || []).length) {
+                errors.push(`Medication interaction ${entryId}: needs medications or classes`);
+            }
+            (entry.medications || []).filter(id => !medications[id])
+                .forEach(id => errors.push(`Medication interaction ${entryId}: unknown medication ${id}`));
+            (entry.classes || []).filter(id => !classes[id])
+                .forEach(id => errors.push(`Medication interaction ${entryId}: unknown class ${id}`));
+            (entry.components || []).filter(id => !components[id])
+                .forEach(id => errors.push(`Medication interaction ${entryId}: unknown component ${id}`));
+            if (entry.citation && !citations[entry.citation]) {
+                errors.push(`Medication interaction ${entryId}: unknown citation ${entry.citation}`);
+            } else if (!entry.citation) {
+                warnings.push(`Medication interaction ${entryId}: no citation`);
+            }
+        });
+
+        return { errors, warnings };
+    }
+
     sanitizePatientProfile(profile) {
         const sanitized = { ...profile };
 
@@ -311,11 +671,13 @@ class ValidationEngine {
             sanitized.bmi = sanitized.weight / Math.pow(sanitized.height / 100, 2);
         }
 
-        // Set default creatinine clearance if missing (normal adult)
+        // Estimate creatinine clearance if missing (Cockcroft-Gault)
         if (!sanitized.creatinineClearance && sanitized.age) {
-            // Cockcroft-Gault estimation for average adult
-            const estimatedCrCl = ((140 - sanitized.age) * sanitized.weight) / (72 * 1.0); // Assuming normal Cr = 1.0
-            sanitized.creatinineClearance = Math.round(estimatedCrCl);
+            sanitized.creatinineClearance = new PatientMetricsEngine().calculateCreatinineClearance({
+                age: sanitized.age,
+                weight: sanitized.weight,
+                serumCreatinine: parseFloat(sanitized.serumCreatinine) || 1.0 // Assume normal Cr = 1.0 mg/dL
+            });
         }
 
         return sanitized;
@@ -0,0 +1,135 @@
+// Visit Plan Engine (dated monitoring checklist with component safety labs)
+class VisitPlanEngine {
+    constructor(componentsData) {
+        this.componentsData = componentsData;
+        this.stages = new StageEngine(null);
+        this.categories = [
+            { key: 'clinical', label: 'Clinical' },
+            { key: 'laboratory', label: 'Laboratory' },
+            { key: 'imaging', label: 'Imaging' },
+            { key: 'biomarkers', label: 'Biomarkers' }
+        ];
+    }
+
+    buildVisitPlan(monitoringVisits, protocolTimeline, selectedComponents) {
+        const visits = monitoringVisits.map(visit => ({
+            id: visit.id,
+            // Quarterly visits share the "quarterly" schedule entry
+            scheduleId: visit.scheduleId || visit.id.replace(/-\d+$/, ''),
+            timepoint: visit.timepoint,
+            week: visit.week,
+            date: visit.date,
+            categories: this.categories.map(category => ({
+                ...category,
+                items: (visit[category.key] || []).map(label => ({ label, components: [], reasons: [], citationKeys: [] }))
+            })),
+            verification: visit.verification || null
+        }));
+
+        if (visits.length > 0) {
+            const course = {
+                start: protocolTimeline?.startDate || visits[0].date,
+                end: visits[visits.length - 1].date,
+                timeline: protocolTimeline,
+                selectedComponents
+            };
+
+            // Each component's labs are dated from the day it starts, also when that is mid-course
+            this.getPlannedComponents(protocolTimeline, selectedComponents).forEach(componentId => {
+                const component = this.componentsData.components[componentId];
+                if (!component?.safetyLabs) return;
+
+                const plan = protocolTimeline?.componentPlans?.[componentId];
+                const componentStart = plan ? this.stages.addMonths(protocolTimeline.startDate, plan.startMonth) : course.start;
+
+                component.safetyLabs.forEach(lab => lab.visits.forEach(entry => {
+                    this.getLabVisits(visits, entry, componentId, componentStart, course).forEach(visit => {
+                        const laboratory = visit.categories.find(category => category.key === 'laboratory');
+                        this.mergeLab(laboratory.items, lab, component.name);
+                    });
+                }));
+            });
+        }
+
+        const planned = visits
+            .sort((a, b) => a.date - b.date)
+            .map(({ scheduleId, ...visit }) => ({
+                ...visit,
+                categories: visit.categories.filter(category => category.items.length > 0)
+            }));
+
+        return {
+            startDate: planned.length > 0 ? planned[0].date : null,
+            endDate: planned.length > 0 ? planned[planned.length - 1].date : null,
+            visits: planned,
+            safetyLabCount: planned.reduce((sum, visit) => sum + visit.categories
+                .flatMap(category => category.items)
+                .filter(item => item.components.length > 0).length, 0)
+        };
+    }
+
+    getPlannedComponents(protocolTimeline, selectedComponents) {
+        // Every component that is taken in some phase of the course
+        const phases = protocolTimeline?.phases || [];
+        if (phases.length === 0) return selectedComponents;
+        return [...new Set(phases.flatMap(phase => phase.components))];
+    }
+
+    getLabVisits(visits, entry, componentId, componentStart, course) {
+        const active = date => this.getActiveComponents(date, course.timeline, course.selectedComponents).includes(componentId);
+
+        // Baseline: the last visit on or before the start day, drawn before the first dose
+        if (entry === 'baseline') {
+            const before = visits.filter(visit => visit.date <= componentStart);
+            return before.length > 0 ? [before.reduce((latest, visit) => (visit.date > latest.date ? visit : latest))] : [];
+        }
+
+        // Week N: N weeks after the component's own start, on a lab-only visit when no visit falls on that day
+        const weekMatch = entry.match(/^week(\d+)$/);
+        if (weekMatch) {
+            const week = parseInt(weekMatch[1], 10);
+            const date = this.stages.addDays(componentStart, week * 7);
+            if (date > course.end || !active(date)) return [];
+
+            let visit = visits.find(candidate => candidate.date.getTime() === date.getTime());
+            if (!visit) {
+                const name = this.componentsData.components[componentId]?.name || componentId;
+                visit = {
+                    id: `labs-${componentId}-${entry}`,
+                    scheduleId: entry,
+                    timepoint: `Safety labs: week ${week} of ${name}`,
+                    week: Math.round((date - course.start) / (7 * 24 * 3600 * 1000)),
+                    date,
+                    categories: this.categories.map(category => ({ ...category, items: [] })),
+                    verification: null
+                };
+                visits.push(visit);
+            }
+            return [visit];
+        }
+
+        // Recurring entries ("quarterly") at the scheduled visits while the component is taken
+        return visits.filter(visit => visit.scheduleId === entry && visit.date > componentStart && active(visit.date));
+    }
+
+    getActiveComponents(date, protocolTimeline, selectedComponents) {
+        // Components in the timeline phase that covers the visit; visits after the course keep the last phase
+        const phases = protocolTimeline?.phases || [];
+        if (phases.length === 0) return selectedComponents;
+        const phase = phases.find(entry => date >= entry.startDate && date <= entry.endDate) || phases[phases.length - 1];
+        return phase.components;
+    }
+
+    mergeLab(items, lab, componentName) {
+        // "LFT" in the schedule and a component's "LFT" are one blood draw; "CBC" also covers "CBC (hemoglobin, hematocrit)"
+        let item = items.find(entry => entry.label === lab.test || lab.test.startsWith(`${entry.label} (`));
+        if (!item) {
+            item = { label: lab.test, components: [], reasons: [], citationKeys: [] };
+            items.push(item);
+        }
+
+        if (!item.components.includes(componentName)) item.components.push(componentName);
+        if (lab.reason && !item.reasons.includes(lab.reason)) item.reasons.push(lab.reason);
+        if (lab.citation && !item.citationKeys.includes(lab.citation)) item.citationKeys.push(lab.citation);
+    }
+}